@@ -14,26 +14,34 @@ const defaultParams = {
  * @typedef {Object} deps
  * @property {*} mod
  * @property {*} params
+ * @property {import('./lib/core/clock')} clock
  * @property {import('./lib/dispatch')} dispatch
  * @property {import('./lib/lang')} lang
  * @property {import('./lib/speech')} speech
  * @property {import('./lib/core/proto')} proto
  * @property {import('./lib/core/events')} events
  * @property {import('./lib/core/functions')} functions
+ * @property {import('./lib/core/party')} party
  * @property {import('./lib/core/handlers')} handlers
+ * @property {import('./lib/core/recorder')} recorder
+ * @property {import('./lib/core/skeleton')} skeleton
  * @property {import('./lib/core/zone')} zone
  * @property {import('./lib/core/gui')} gui
  * @property {import('./lib/core/commands')} commands
  */
 
 const submodules = [
+	["clock", require("./lib/core/clock")],
 	["dispatch", require("./lib/dispatch")],
 	["lang", require("./lib/lang")],
 	["speech", require("./lib/speech")],
 	["proto", require("./lib/core/proto")],
 	["events", require("./lib/core/events")],
 	["functions", require("./lib/core/functions")],
+	["party", require("./lib/core/party")],
 	["handlers", require("./lib/core/handlers")],
+	["recorder", require("./lib/core/recorder")],
+	["skeleton", require("./lib/core/skeleton")],
 	["zone", require("./lib/core/zone")],
 	["gui", require("./lib/core/gui")],
 	["commands", require("./lib/core/commands")]
@@ -46,6 +54,8 @@ class TeraGuideCore {
 		 */
 		const deps = { "mod": mod, "params": { ...defaultParams, ...params } };
 
+		this.__deps = deps;
+
 		submodules.forEach(submodule => deps[submodule[0]] = new submodule[1](deps));
 
 		Object.keys(deps).forEach(key => {
@@ -62,6 +72,15 @@ class TeraGuideCore {
 
 		Object.assign(global, colors, deps.params.colors.general, deps.params.colors.gui);
 	}
+
+	/**
+	 * Get submodules.
+	 * @readonly
+	 * @memberof TeraGuideCore
+	 */
+	get deps() {
+		return this.__deps;
+	}
 }
 
 class Loader {
@@ -0,0 +1,128 @@
+"use strict";
+
+/**
+ * Active abnormality.
+ * @typedef {Object} abnormal
+ * @property {number} id Abnormality identifier.
+ * @property {number} stacks Number of stacks.
+ * @property {number} duration Duration in milliseconds (0 if unlimited).
+ * @property {number} time Time of the begin or the last refresh.
+ */
+
+/**
+ * @typedef {import("../../index").deps} deps
+ * @typedef {import("./guide")} guide
+ */
+
+class Abnormals {
+	/**
+	 * Creates an instance of Abnormals.
+	 * @param {deps} deps
+	 * @param {guide} guide
+	 * @memberof Abnormals
+	 */
+	constructor(deps, guide) {
+		this.__deps = deps;
+		this.__guide = guide;
+
+		/** @type {Map<string, abnormal>} List of active abnormalities of the player and the party members by "gameId,id" */
+		this.__list = new Map();
+
+		// List of expiry warning seconds by abnormality identifier
+		this.__expiries = new Map();
+	}
+
+	/**
+	 * Add the expiry warning from the key, like "ax-30260001-3".
+	 * @param {string} key Event key.
+	 * @return {boolean} True if the key is valid.
+	 * @memberof Abnormals
+	 */
+	addExpiry(key) {
+		const parts = key.split("-");
+
+		if (parts.length !== 3 || parts.slice(1).some(part => !/^\d+$/.test(part))) return false;
+
+		const id = parseInt(parts[1]);
+
+		if (!this.__expiries.has(id))
+			this.__expiries.set(id, new Set());
+
+		this.__expiries.get(id).add(parseInt(parts[2]));
+
+		return true;
+	}
+
+	/**
+	 * Handle the begin or the refresh of the abnormality.
+	 * Starts (or restarts) the timers of the "ax" events for abnormalities of the player.
+	 * @param {Object} event Packet data of S_ABNORMALITY_BEGIN or S_ABNORMALITY_REFRESH.
+	 * @memberof Abnormals
+	 */
+	begin(event) {
+		const { player } = this.__deps.mod.require.library;
+
+		if (!player.isMe(event.target) && !this.__deps.party.get(event.target)) return;
+
+		const duration = Number(event.duration) || 0;
+
+		this.__list.set([event.target, event.id].toString(), { "id": event.id, "stacks": event.stacks, duration, "time": this.__deps.clock.now() });
+
+		const expiries = this.__expiries.get(event.id);
+
+		if (!expiries || !player.isMe(event.target) || duration === 0) return;
+
+		expiries.forEach(seconds => {
+			const name = `abnormal-${event.id}-${seconds}`;
+
+			// Don't start the warning which is already expired
+			if (duration <= seconds * 1000)
+				return this.__guide.timers.clear(name);
+
+			this.__guide.timers.set(() =>
+				this.__guide.handleEvent(["ax", event.id, seconds], { "huntingZoneId": 0, "templateId": 0, "stacks": event.stacks, "remaining": seconds }, { "name": "Abnormality Expiry", "color": cv })
+			, duration - seconds * 1000, name, `abnormal-${event.id}`);
+		});
+	}
+
+	/**
+	 * Handle the end of the abnormality.
+	 * @param {Object} event Packet data of S_ABNORMALITY_END.
+	 * @memberof Abnormals
+	 */
+	end(event) {
+		if (!this.__list.delete([event.target, event.id].toString())) return;
+
+		if (this.__deps.mod.require.library.player.isMe(event.target))
+			this.__guide.timers.clearTag(`abnormal-${event.id}`);
+	}
+
+	/**
+	 * Get remaining time of the abnormality.
+	 * @param {number} id Abnormality identifier.
+	 * @param {(string|bigint)} [gameId=undefined] Game identifier of the player or the party member (the player if not specified).
+	 * @return {(number|null)} Remaining time in seconds, 0 if abnormality is not active or null if it's unlimited.
+	 * @memberof Abnormals
+	 */
+	remaining(id, gameId = undefined) {
+		const target = gameId !== undefined ? gameId : this.__deps.mod.require.library.player.gameId;
+		const entry = this.__list.get([target, parseInt(id)].toString());
+
+		if (!entry) return 0;
+
+		if (entry.duration === 0) return null;
+
+		return Math.max(entry.duration - (this.__deps.clock.now() - entry.time), 0) / 1000;
+	}
+
+	/**
+	 * Get list of active abnormalities.
+	 * @readonly
+	 * @memberof Abnormals
+	 */
+	get list() {
+		return this.__list;
+	}
+}
+
+module.exports = Abnormals;
\ No newline at end of file
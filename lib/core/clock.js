@@ -0,0 +1,28 @@
+"use strict";
+
+/**
+ * @typedef {import("../../index.js").deps} deps
+ */
+
+class Clock {
+	/**
+	 * Creates an instance of Clock.
+	 * The time source of the core, it can be replaced by the replay harness.
+	 * @param {deps} deps
+	 * @memberof Clock
+	 */
+	constructor(deps) {
+		this.__deps = deps;
+	}
+
+	/**
+	 * Get current time.
+	 * @return {number} Time in milliseconds.
+	 * @memberof Clock
+	 */
+	now() {
+		return Date.now();
+	}
+}
+
+module.exports = Clock;
\ No newline at end of file
@@ -1,5 +1,7 @@
 "use strict";
 
+const path = require("path");
+
 /**
  * @typedef {import("../../index").deps} deps
  */
@@ -11,7 +13,7 @@ class Commands {
 	 * @memberof Commands
 	 */
 	constructor(deps) {
-		const { mod, lang, params, gui, zone, handlers } = deps;
+		const { mod, lang, params, gui, zone, handlers, recorder, skeleton } = deps;
 		const { player } = mod.require.library;
 
 		this.__mod = mod;
@@ -128,6 +130,43 @@ class Commands {
 					mod.command.message(`${cw}Guide name: ${cy}${zone.settings.name || "not defined"}`);
 					// eslint-disable-next-line no-nested-ternary
 					mod.command.message(`${cw}Guide type: ${cy}${zone.guide.type === SP ? "SP" : (zone.guide.type === ES ? "ES" : "standard")}`);
+					mod.command.message(`${cw}Guide phase: ${cy}${zone.guide.phase || "not set"}`);
+
+					// Variables status
+					if (zone.guide.vars.size !== 0) {
+						mod.command.message(`${cw}Guide variables:`);
+
+						zone.guide.vars.forEach((value, name) =>
+							mod.command.message(`${cy}${name} ${cw}= ${value}`)
+						);
+					}
+
+					// Timers status
+					if (zone.guide.timers.names.length !== 0) {
+						mod.command.message(`${cw}Active timers:`);
+
+						zone.guide.timers.names.forEach(name =>
+							mod.command.message(`${cy}${name} ${cw}(${(zone.guide.timers.remaining(name) / 1000).toFixed(1)}s)`)
+						);
+					}
+
+					// Tracked NPCs status
+					if (zone.guide.tracker.list.size !== 0) {
+						mod.command.message(`${cw}Tracked NPCs:`);
+
+						zone.guide.tracker.list.forEach(npc =>
+							mod.command.message(`${cy}${npc.huntingZoneId}-${npc.templateId} ${cw}(HP: ${npc.hp !== null ? `${npc.hp}%` : "-"}, rage: ${npc.rage ? `yes, ${zone.guide.tracker.rageRemaining(npc.gameId).toFixed(0)}s` : "no"}, rages: ${npc.rageCount}, abnormals: ${[...npc.abnormals.keys()].join(", ") || "-"})`)
+						);
+					}
+
+					// Skill hits status
+					if (zone.guide.fight.hits.size !== 0) {
+						mod.command.message(`${cw}Skill hits:`);
+
+						zone.guide.fight.hits.forEach((hits, skill) =>
+							mod.command.message(`${cy}${skill} ${cw}(${[...hits].map(([name, count]) => `${name}: ${count}`).join(", ")})`)
+						);
+					}
 
 					// Handlers status
 					if (zone.guide.eventNames().length > 1) {
@@ -182,6 +221,61 @@ class Commands {
 				}
 			},
 
+			"record": (arg1) => {
+				// Start recording
+				if (arg1 === "start") {
+					if (!zone.loaded)
+						return mod.command.message(`${cy}Guide not loaded.`);
+
+					try {
+						return mod.command.message(`${cg}Recording started: ${cw}${recorder.start()}`);
+					} catch (e) {
+						return mod.command.message(`${cr}Unable to start recording: ${cw}${e.message}`);
+					}
+				}
+
+				// Stop recording
+				if (arg1 === "stop") {
+					if (!recorder.active)
+						return mod.command.message(`${cy}Recording is not started.`);
+
+					return mod.command.message(`${cg}Recording stopped: ${cw}${recorder.stop()}`);
+				}
+
+				// Recording status
+				if (!arg1 || arg1 === "status") {
+					if (!recorder.active)
+						return mod.command.message(`${cy}Recording is not started.`);
+
+					return mod.command.message(`${cw}Recording to file: ${cy}${recorder.file} ${cw}(${Math.floor(recorder.time / 1000)}s)`);
+				}
+
+				mod.command.message(`${cr}Invalid sub command for record: ${cw}${arg1}`);
+			},
+
+			"skeleton": (arg1) => {
+				// Clear collected events
+				if (arg1 === "clear") {
+					skeleton.clear();
+					return mod.command.message(`${cg}Collected events has been cleared.`);
+				}
+
+				try {
+					let zoneId = zone.id;
+
+					// Collect the events from specified record file
+					if (arg1)
+						zoneId = skeleton.addRecord(path.resolve(mod.info.path, "records", arg1));
+
+					if (zoneId === undefined)
+						return mod.command.message(`${cy}Zone is not entered.`);
+
+					mod.command.message(`${cg}Guide skeleton written: ${cw}${skeleton.write(zoneId)}`);
+				} catch (e) {
+					mod.command.message(`${cr}Unable to write guide skeleton: ${cw}${e.message}`);
+				}
+			},
+
 			"spawnObject": (arg1) => {
 				if (arg1) {
 					if (mod.settings.dungeons[arg1]) {
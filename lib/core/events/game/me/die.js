@@ -12,5 +12,8 @@ module.exports = deps => {
 
 	const { player } = deps.mod.require.library;
 
-	return deps.zone.guide.handleEvent(["die"], player, { "name": "Death", "color": cv });
+	deps.zone.guide.handleEvent(["die"], player, { "name": "Death", "color": cv });
+
+	// Check the party is wiped
+	deps.zone.guide.fight.checkWipe();
 };
\ No newline at end of file
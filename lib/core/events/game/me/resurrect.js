@@ -12,5 +12,7 @@ module.exports = deps => {
 
 	const { player } = deps.mod.require.library;
 
+	deps.zone.guide.fight.revive();
+
 	return deps.zone.guide.handleEvent(["resurrect"], player, { "name": "Resurrect", "color": cv });
 };
\ No newline at end of file
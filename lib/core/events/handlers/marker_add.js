@@ -19,19 +19,19 @@ module.exports.marker_add = (deps, data, event, ent) => {
 	// Check ent is defined
 	if (!ent && deps.zone.loaded) ent = deps.zone.guide.data.ent;
 
-	// Set gameId
-	if (!event.id) event.id = ent.gameId || false;
-	if (!event.id) return deps.mod.error("Marker_add handler needs a id (gameId)");
+	// Set gameId, use the target player of the event if "target" is specified
+	const id = event.id || (event.target ? ent.target && ent.target.gameId : ent.gameId) || false;
+	if (!id) return deps.mod.error("Marker_add handler needs a id (gameId)");
 
 	// Clear remove timer if added new marker for existing id
-	if (data.markers.has(event.id) && data.markers.get(event.id).timer !== false)
-		deps.mod.clearTimeout(data.markers.get(event.id).timer);
+	if (data.markers.has(id))
+		deps.handlers.clearDelay(data.markers.get(id).timer);
 
 	// Create timer for remove a added marker
-	const timer = deps.handlers.delay(() => deps.handlers.types.marker_remove({ "id": event.id }, ent), event.sub_delay);
+	const timer = deps.handlers.delay(() => deps.handlers.types.marker_remove({ "id": id }, ent), event.sub_delay);
 
 	// Add the marker
-	data.markers.set(event.id, { "color": event.color, "timer": timer });
+	data.markers.set(id, { "color": event.color, "timer": timer });
 
 	// Marker colors
 	const colors = { "red": 0, "yellow": 1, "blue": 2 };
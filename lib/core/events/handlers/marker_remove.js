@@ -16,22 +16,21 @@ module.exports.marker_remove = (deps, data, event, ent) => {
 	// Check ent is defined
 	if (!ent && deps.zone.loaded) ent = deps.zone.guide.data.ent;
 
-	// Set gameId
-	if (!event.id) event.id = ent.gameId || false;
-	if (!event.id) return deps.mod.error("Marker_remove handler needs a gameId (id)");
+	// Set gameId, use the target player of the event if "target" is specified
+	const id = event.id || (event.target ? ent.target && ent.target.gameId : ent.gameId) || false;
+	if (!id) return deps.mod.error("Marker_remove handler needs a gameId (id)");
 
 	// Returns if marker already removed
-	if (!data.markers.has(event.id)) return;
+	if (!data.markers.has(id)) return;
 
 	// Clear remove timer for existing id
-	if (data.markers.get(event.id).timer !== false)
-		deps.mod.clearTimeout(data.markers.get(event.id).timer);
+	deps.handlers.clearDelay(data.markers.get(id).timer);
 
 	// Marker colors
 	const colors = { "red": 0, "yellow": 1, "blue": 2 };
 
 	// Remove from data object
-	data.markers.delete(event.id);
+	data.markers.delete(id);
 
 	// Reset markers by new list
 	const targets = [];
@@ -0,0 +1,26 @@
+"use strict";
+
+/**
+ * @typedef {import("../../handlers").deps} deps
+ * @typedef {import("../../handlers").data} data
+ */
+
+/**
+ * @param {deps} deps
+ * @param {data} data
+ * @param {Object} event
+ * @param {Object} ent
+ */
+module.exports.phase_set = (deps, data, event, ent) => {
+	// Check guide is loaded
+	if (!deps.zone.loaded) return deps.mod.error("Guide is not loaded");
+
+	// Reset the phase if id is not specified
+	if (event.id === undefined || event.id === null)
+		return deps.zone.guide.setPhase(null, ent);
+
+	deps.zone.guide.setPhase(event.id.toString(), ent);
+};
+
+// Alias function
+module.exports.phase = module.exports.phase_set;
\ No newline at end of file
@@ -0,0 +1,47 @@
+"use strict";
+
+/**
+ * @typedef {import("../../handlers").deps} deps
+ * @typedef {import("../../handlers").data} data
+ */
+
+/**
+ * @param {deps} deps
+ * @param {data} data
+ * @param {Object} event
+ * @param {Object} ent
+ * @param {string} key
+ */
+module.exports.repeat = (deps, data, event, ent, key) => {
+	// Check guide is loaded
+	if (!deps.zone.loaded) return deps.mod.error("Guide is not loaded");
+
+	// Make sure args is defined
+	if (!event.args || !Array.isArray(event.args))
+		return deps.mod.error("Repeat handler needs a args with array");
+
+	const count = parseInt(event.count);
+	const interval = parseInt(event.interval);
+
+	// Make sure count is defined
+	if (isNaN(count) || count < 1) return deps.mod.error("Repeat handler needs a count");
+
+	// Make sure interval is defined
+	if (isNaN(interval) || interval < 1) return deps.mod.error("Repeat handler needs a interval");
+
+	// Use own tag to be able to cancel the repeats by event key
+	const tag = event.tag !== undefined ? event.tag : Symbol("repeat");
+
+	for (let i = 0; i < count; i++) {
+		event.args.forEach(entry =>
+			deps.handlers.trigger({ ...entry, "delay": i * interval + (parseInt(entry.delay) || 0), "tag": tag }, ent, key)
+		);
+	}
+
+	// Cancel the repeats when the specified key is emitted, until the last delayed entry is fired
+	if (event.cancel_on !== undefined) {
+		const maxDelay = Math.max(0, ...event.args.map(entry => parseInt(entry.delay) || 0));
+
+		deps.zone.guide.clearTagOn(event.cancel_on, tag, (count - 1) * interval + maxDelay + 1);
+	}
+};
\ No newline at end of file
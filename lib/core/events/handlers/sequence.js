@@ -0,0 +1,38 @@
+"use strict";
+
+/**
+ * @typedef {import("../../handlers").deps} deps
+ * @typedef {import("../../handlers").data} data
+ */
+
+/**
+ * @param {deps} deps
+ * @param {data} data
+ * @param {Object} event
+ * @param {Object} ent
+ * @param {string} key
+ */
+module.exports.sequence = (deps, data, event, ent, key) => {
+	// Check guide is loaded
+	if (!deps.zone.loaded) return deps.mod.error("Guide is not loaded");
+
+	// Make sure args is defined
+	if (!event.args || !Array.isArray(event.args))
+		return deps.mod.error("Sequence handler needs a args with array");
+
+	// Use own tag to be able to cancel the sequence by event key
+	const tag = event.tag !== undefined ? event.tag : Symbol("sequence");
+
+	// Delay of each entry is relative to the previous entry
+	let delay = 0;
+
+	event.args.forEach(entry => {
+		delay += parseInt(entry.delay) || 0;
+
+		deps.handlers.trigger({ ...entry, "delay": delay, "tag": tag }, ent, key);
+	});
+
+	// Cancel the sequence when the specified key is emitted
+	if (event.cancel_on !== undefined)
+		deps.zone.guide.clearTagOn(event.cancel_on, tag, delay + 1);
+};
\ No newline at end of file
@@ -28,6 +28,14 @@ module.exports.spawn = (deps, data, event, ent) => {
 	if (!ent && deps.zone.loaded) ent = deps.zone.guide.data.ent;
 	if (!ent) return deps.mod.error("Spawn handler has invalid entity or not specified");
 
+	// Use the last known position of tracked NPC if the heading is unknown
+	if (ent.loc && ent.loc.w === undefined && ent.gameId !== undefined && deps.zone.loaded) {
+		const tracked = deps.zone.guide.tracker.list.get(ent.gameId.toString());
+
+		if (tracked && tracked.loc && tracked.loc.w !== undefined)
+			ent = { ...ent, "loc": tracked.loc };
+	}
+
 	// If func is defined, try to call the spawn function from the lib and return
 	if (event.func) {
 		// Make sure args is defined
@@ -36,7 +44,7 @@ module.exports.spawn = (deps, data, event, ent) => {
 
 		try {
 			// Create a Spawn class
-			const instance = new Spawn(ent, deps.mod, deps.handlers.types, event);
+			const instance = new Spawn(ent, deps.dispatch, deps.handlers.types, event);
 
 			if (instance[event.func] === undefined)
 				deps.mod.error(`An event has invalid func: ${event.func}`);
@@ -2,12 +2,21 @@
 
 /**
  * @typedef {import("../../handlers").deps} deps
+ * @typedef {import("../../handlers").data} data
  */
 
 /**
  * @param {deps} deps
+ * @param {data} data
+ * @param {Object} [event={}]
  */
-module.exports.stop_timers = deps => {
-	deps.mod.clearAllTimeouts();
-	deps.mod.clearAllIntervals();
+module.exports.stop_timers = (deps, data, event = {}) => {
+	// Only timers of loaded guide are cleared
+	if (!deps.zone.loaded) return;
+
+	// If a event.tag is set, clear only timers with matched tag
+	if (event.tag)
+		return deps.zone.guide.timers.clearTag(event.tag);
+
+	deps.zone.guide.timers.clearAll();
 };
\ No newline at end of file
@@ -9,10 +9,11 @@
  * @param {deps} deps
  * @param {data} data
  * @param {Object} event
+ * @param {Object} ent
  */
-module.exports.text = (deps, data, event) => {
+module.exports.text = (deps, data, event, ent) => {
 	// Fetch the message
-	const message = deps.lang.getEventText(event);
+	const message = deps.lang.getEventText(event, ent);
 
 	// Make sure sub_type is defined
 	if (!event.sub_type) return deps.mod.error("Text handler needs a sub_type");
@@ -23,6 +24,10 @@ module.exports.text = (deps, data, event) => {
 	// Set voice param if undefined
 	if (event.speech === undefined) event.speech = true;
 
+	// Show the countdown ticks before the message
+	if (event.sub_type === "countdown")
+		return countdown(deps, data, event, ent);
+
 	// Play the voice for specified types
 	if (["message", "alert", "warning", "notification", "speech"].includes(event.sub_type)) {
 		// Ignoring if verbose mode is disabled
@@ -57,4 +62,34 @@ module.exports.text = (deps, data, event) => {
 		default:
 			return deps.handlers.send.proxy(message, event.sub_type);
 	}
-};
\ No newline at end of file
+};
+
+/**
+ * Show (and speak) the countdown ticks and the message after them.
+ * The ticks are running on the guide timers, so they are cleared on unload of the guide or by the tag.
+ * @param {deps} deps
+ * @param {data} data
+ * @param {Object} event
+ * @param {Object} ent
+ */
+function countdown(deps, data, event, ent) {
+	const count = parseInt(event.count) || 3;
+	const interval = parseInt(event.interval) || 1000;
+	const type = event.countdown_type || "alert";
+
+	// Use own tag to be able to cancel the countdown by event key
+	const tag = event.tag !== undefined ? event.tag : Symbol("countdown");
+
+	for (let i = 0; i < count; i++) {
+		const message = deps.lang.strings.countdown.replace("{0}", count - i);
+
+		deps.handlers.delay(() => module.exports.text(deps, data, { "sub_type": type, message, "speech": event.speech }, ent), i * interval, tag);
+	}
+
+	// Final message
+	deps.handlers.delay(() => module.exports.text(deps, data, { ...event, "sub_type": type }, ent), count * interval, tag);
+
+	// Cancel the countdown when the specified key is emitted
+	if (event.cancel_on !== undefined && deps.zone.loaded)
+		deps.zone.guide.clearTagOn(event.cancel_on, tag, count * interval + 1);
+}
\ No newline at end of file
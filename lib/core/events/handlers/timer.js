@@ -0,0 +1,80 @@
+"use strict";
+
+/**
+ * @typedef {import("../../handlers").deps} deps
+ * @typedef {import("../../handlers").data} data
+ */
+
+/**
+ * @param {deps} deps
+ * @param {data} data
+ * @param {Object} event
+ * @param {Object} ent
+ * @param {string} key
+ */
+module.exports.timer_start = (deps, data, event, ent, key) => {
+	// Check guide is loaded
+	if (!deps.zone.loaded) return deps.mod.error("Guide is not loaded");
+
+	// Make sure id is defined
+	if (!event.id) return deps.mod.error("Timer_start handler needs a id");
+
+	// Make sure sub_delay is defined
+	if (!event.sub_delay) return deps.mod.error("Timer_start handler needs a sub_delay");
+
+	const guide = deps.zone.guide;
+
+	guide.timers.set(() => {
+		// Start the events when the timer expires
+		if (Array.isArray(event.args))
+			deps.handlers.types.start_events(event.args, ent, key);
+
+		// Call event
+		guide.handleEvent(["timer", event.id], ent || { "huntingZoneId": 0, "templateId": 0 }, { "name": "Timer", "color": cy });
+	}, event.sub_delay, event.id, event.tag);
+};
+
+/**
+ * @param {deps} deps
+ * @param {data} data
+ * @param {Object} event
+ */
+module.exports.timer_cancel = (deps, data, event) => {
+	// Check guide is loaded
+	if (!deps.zone.loaded) return deps.mod.error("Guide is not loaded");
+
+	// Make sure id or tag is defined
+	if (!event.id && !event.tag) return deps.mod.error("Timer_cancel handler needs a id or tag");
+
+	if (event.id)
+		deps.zone.guide.timers.clear(event.id.toString());
+
+	if (event.tag)
+		deps.zone.guide.timers.clearTag(event.tag);
+};
+
+/**
+ * @param {deps} deps
+ * @param {data} data
+ * @param {Object} event
+ * @param {Object} ent
+ * @param {string} key
+ */
+module.exports.timer_query = (deps, data, event, ent, key) => {
+	// Check guide is loaded
+	if (!deps.zone.loaded) return deps.mod.error("Guide is not loaded");
+
+	// Make sure id is defined
+	if (!event.id) return deps.mod.error("Timer_query handler needs a id");
+
+	// Make sure args is defined
+	if (!event.args || !Array.isArray(event.args))
+		return deps.mod.error("Timer_query handler needs a args with array");
+
+	// Set running param if undefined
+	const running = event.running !== undefined ? event.running : true;
+
+	// Start the events if the timer state matches
+	if (deps.zone.guide.timers.has(event.id) === running)
+		deps.handlers.types.start_events(event.args, ent, key);
+};
\ No newline at end of file
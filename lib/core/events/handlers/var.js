@@ -0,0 +1,59 @@
+"use strict";
+
+/**
+ * @typedef {import("../../handlers").deps} deps
+ * @typedef {import("../../handlers").data} data
+ */
+
+/**
+ * @param {deps} deps
+ * @param {data} data
+ * @param {Object} event
+ */
+module.exports.var_set = (deps, data, event) => {
+	// Check guide is loaded
+	if (!deps.zone.loaded) return deps.mod.error("Guide is not loaded");
+
+	// Make sure id is defined
+	if (!event.id) return deps.mod.error("Var_set handler needs a id");
+
+	deps.zone.guide.vars.set(event.id, event.value !== undefined ? event.value : 0);
+};
+
+/**
+ * @param {deps} deps
+ * @param {data} data
+ * @param {Object} event
+ */
+module.exports.var_inc = (deps, data, event) => {
+	// Check guide is loaded
+	if (!deps.zone.loaded) return deps.mod.error("Guide is not loaded");
+
+	// Make sure id is defined
+	if (!event.id) return deps.mod.error("Var_inc handler needs a id");
+
+	const cycle = parseInt(event.cycle);
+	let value = (parseInt(deps.zone.guide.vars.get(event.id)) || 0) + (event.value !== undefined ? parseInt(event.value) : 1);
+
+	// Wrap the value around, like 0, 1, 2, 0, 1, 2...
+	if (cycle > 0)
+		value = ((value % cycle) + cycle) % cycle;
+
+	deps.zone.guide.vars.set(event.id, value);
+};
+
+/**
+ * @param {deps} deps
+ * @param {data} data
+ * @param {Object} [event={}]
+ */
+module.exports.var_reset = (deps, data, event = {}) => {
+	// Check guide is loaded
+	if (!deps.zone.loaded) return deps.mod.error("Guide is not loaded");
+
+	// Reset all variables if id is not specified
+	if (!event.id)
+		return deps.zone.guide.vars.clear();
+
+	deps.zone.guide.vars.delete(event.id);
+};
\ No newline at end of file
@@ -19,18 +19,47 @@ module.exports.callback = (deps, guide, event) => {
 
 	const { entity, player } = deps.mod.require.library;
 
-	// Return if abnormality is applied by player in the party
-	if (event.source && player.playersInParty.has(event.source.toString())) return;
+	// Update abnormalities of tracked NPC
+	guide.tracker.addAbnormal(event);
+
+	// Update abnormalities of the player and the party members
+	guide.abnormals.begin(event);
+
+	// Abnormality was applied by player in the party
+	if (event.source && player.playersInParty.has(event.source.toString())) {
+		// Ignore if the events are not enabled in the guide options
+		if (!guide.options.party_abnormals) return;
+
+		const target_ent = entity.mobs[event.target.toString()];
+
+		// Return if abnormality is applied to unknown entity
+		if (!target_ent && !player.isMe(event.target) && !deps.party.get(event.target)) return;
+
+		const source = deps.party.getInfo(event.source);
+
+		// Abnormality was applied to mob (boss), or the player or party member
+		const ent = target_ent ?
+			{ ...target_ent, source, "stacks": event.stacks } :
+			{ "huntingZoneId": 0, "templateId": 0, source, "target": deps.party.getInfo(event.target), "stacks": event.stacks };
+
+		guide.handleEvent(["ag", ent.huntingZoneId, ent.templateId, event.id], ent, { ...module.exports.debug, "name": "Abnormality Party" });
+		guide.handleEvent(["ag", ent.huntingZoneId, ent.templateId, event.id, event.stacks], ent, { ...module.exports.debug, "name": "Abnormality Party" });
+
+		return;
+	}
 
 	// Add abnormal data to the list
 	if (guide.hooks.list.has("S_ABNORMALITY_END"))
 		guide.data.abnormals.set([event.target, event.id].toString(), event);
 
+	// Get info of the target player (the player or party member)
+	const target = deps.party.getInfo(event.target);
+
 	if (player.isMe(event.target)) {
 		// Abnormality was applied to me by nothing or me
 		if (!event.source || player.isMe(event.source)) {
-			guide.handleEvent(["ae", 0, 0, event.id], { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
-			guide.handleEvent(["ae", 0, 0, event.id, event.stacks], { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
+			guide.handleEvent(["ae", 0, 0, event.id], { "huntingZoneId": 0, "templateId": 0, target, "stacks": event.stacks }, module.exports.debug);
+			guide.handleEvent(["ae", 0, 0, event.id, event.stacks], { "huntingZoneId": 0, "templateId": 0, target, "stacks": event.stacks }, module.exports.debug);
 
 			return;
 		}
@@ -39,14 +68,14 @@ module.exports.callback = (deps, guide, event) => {
 		const source_ent = entity.mobs[event.source.toString()];
 
 		if (source_ent) {
-			guide.handleEvent(["am", source_ent.huntingZoneId, source_ent.templateId, event.id], source_ent, module.exports.debug);
-			guide.handleEvent(["am", source_ent.huntingZoneId, source_ent.templateId, event.id, event.stacks], source_ent, module.exports.debug);
+			guide.handleEvent(["am", source_ent.huntingZoneId, source_ent.templateId, event.id], { ...source_ent, target, "stacks": event.stacks }, module.exports.debug);
+			guide.handleEvent(["am", source_ent.huntingZoneId, source_ent.templateId, event.id, event.stacks], { ...source_ent, target, "stacks": event.stacks }, module.exports.debug);
 		}
 	} else if (player.playersInParty.has(event.target)) {
 		// Abnormality was applied to party by nothing or me
 		if (!event.source || player.isMe(event.source)) {
-			guide.handleEvent(["af", 0, 0, event.id], { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
-			guide.handleEvent(["af", 0, 0, event.id, event.stacks], { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
+			guide.handleEvent(["af", 0, 0, event.id], { "huntingZoneId": 0, "templateId": 0, target, "stacks": event.stacks }, module.exports.debug);
+			guide.handleEvent(["af", 0, 0, event.id, event.stacks], { "huntingZoneId": 0, "templateId": 0, target, "stacks": event.stacks }, module.exports.debug);
 
 			return;
 		}
@@ -55,16 +84,16 @@ module.exports.callback = (deps, guide, event) => {
 		const source_ent = entity.mobs[event.source.toString()];
 
 		if (source_ent) {
-			guide.handleEvent(["ap", source_ent.huntingZoneId, source_ent.templateId, event.id], source_ent, module.exports.debug);
-			guide.handleEvent(["ap", source_ent.huntingZoneId, source_ent.templateId, event.id, event.stacks], source_ent, module.exports.debug);
+			guide.handleEvent(["ap", source_ent.huntingZoneId, source_ent.templateId, event.id], { ...source_ent, target, "stacks": event.stacks }, module.exports.debug);
+			guide.handleEvent(["ap", source_ent.huntingZoneId, source_ent.templateId, event.id, event.stacks], { ...source_ent, target, "stacks": event.stacks }, module.exports.debug);
 		}
 	} else {
 		// Abnormality was applied to mob (boss)
 		const target_ent = entity.mobs[event.target.toString()];
 
 		if (target_ent) {
-			guide.handleEvent(["ab", target_ent.huntingZoneId, target_ent.templateId, event.id], target_ent, module.exports.debug);
-			guide.handleEvent(["ab", target_ent.huntingZoneId, target_ent.templateId, event.id, event.stacks], target_ent, module.exports.debug);
+			guide.handleEvent(["ab", target_ent.huntingZoneId, target_ent.templateId, event.id], { ...target_ent, "stacks": event.stacks }, module.exports.debug);
+			guide.handleEvent(["ab", target_ent.huntingZoneId, target_ent.templateId, event.id, event.stacks], { ...target_ent, "stacks": event.stacks }, module.exports.debug);
 		}
 	}
 };
\ No newline at end of file
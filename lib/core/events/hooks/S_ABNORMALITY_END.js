@@ -19,6 +19,12 @@ module.exports.callback = (deps, guide, event) => {
 
 	const { entity, player } = deps.mod.require.library;
 
+	// Update abnormalities of tracked NPC
+	guide.tracker.removeAbnormal(event);
+
+	// Update abnormalities of the player and the party members
+	guide.abnormals.end(event);
+
 	// Get id used in the list
 	const storeId = [event.target, event.id].toString();
 
@@ -31,26 +37,29 @@ module.exports.callback = (deps, guide, event) => {
 	// Delete abnormal data from the list
 	guide.data.abnormals.delete(storeId);
 
+	// Get info of the target player (the player or party member)
+	const target = deps.party.getInfo(added.target);
+
 	if (player.isMe(added.target)) {
 		// Removed abnormality applied to me by nothing or me
 		if (!added.source || player.isMe(added.source))
-			return guide.handleEvent(["ar", 0, 0, added.id], { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
+			return guide.handleEvent(["ar", 0, 0, added.id], { "huntingZoneId": 0, "templateId": 0, target }, module.exports.debug);
 
 		// Removed abnormality applied to me by mob (boss)
 		const source_ent = entity.mobs[added.source.toString()];
 
 		if (source_ent)
-			return guide.handleEvent(["ar", source_ent.huntingZoneId, source_ent.templateId, added.id], source_ent, module.exports.debug);
+			return guide.handleEvent(["ar", source_ent.huntingZoneId, source_ent.templateId, added.id], { ...source_ent, target }, module.exports.debug);
 	} else if (player.playersInParty.has(added.target)) {
 		// Removed abnormality applied to party by nothing or me
 		if (!added.source || player.isMe(added.source))
-			return guide.handleEvent(["at", 0, 0, added.id], { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
+			return guide.handleEvent(["at", 0, 0, added.id], { "huntingZoneId": 0, "templateId": 0, target }, module.exports.debug);
 
 		// Removed abnormality applied to party by mob (boss)
 		const source_ent = entity.mobs[added.source.toString()];
 
 		if (source_ent)
-			return guide.handleEvent(["at", source_ent.huntingZoneId, source_ent.templateId, added.id], source_ent, module.exports.debug);
+			return guide.handleEvent(["at", source_ent.huntingZoneId, source_ent.templateId, added.id], { ...source_ent, target }, module.exports.debug);
 	} else {
 		// Removed abnormality applied to mob (boss)
 		const target_ent = entity.mobs[added.target.toString()];
@@ -19,25 +19,34 @@ module.exports.callback = (deps, guide, event) => {
 
 	const { entity, player } = deps.mod.require.library;
 
+	// Update abnormalities of tracked NPC
+	guide.tracker.addAbnormal(event);
+
+	// Update abnormalities of the player and the party members
+	guide.abnormals.begin(event);
+
 	// Add abnormal data to the list
 	if (guide.hooks.list.has("S_ABNORMALITY_END"))
 		guide.data.abnormals.set([event.target, event.id].toString(), event);
 
+	// Get info of the target player (the player or party member)
+	const target = deps.party.getInfo(event.target);
+
 	if (player.isMe(event.target)) {
 		// Refresh abnormality applied to me by nothing
-		guide.handleEvent(["ae", 0, 0, event.id], { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
-		guide.handleEvent(["ae", 0, 0, event.id, event.stacks], { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
+		guide.handleEvent(["ae", 0, 0, event.id], { "huntingZoneId": 0, "templateId": 0, target, "stacks": event.stacks }, module.exports.debug);
+		guide.handleEvent(["ae", 0, 0, event.id, event.stacks], { "huntingZoneId": 0, "templateId": 0, target, "stacks": event.stacks }, module.exports.debug);
 	} else if (player.playersInParty.has(event.target)) {
 		// Refresh abnormality applied to party by nothing
-		guide.handleEvent(["af", 0, 0, event.id], { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
-		guide.handleEvent(["af", 0, 0, event.id, event.stacks], { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
+		guide.handleEvent(["af", 0, 0, event.id], { "huntingZoneId": 0, "templateId": 0, target, "stacks": event.stacks }, module.exports.debug);
+		guide.handleEvent(["af", 0, 0, event.id, event.stacks], { "huntingZoneId": 0, "templateId": 0, target, "stacks": event.stacks }, module.exports.debug);
 	} else {
 		// Refresh abnormality applied to mob (boss)
 		const target_ent = entity.mobs[event.target.toString()];
 
 		if (target_ent) {
-			guide.handleEvent(["ab", target_ent.huntingZoneId, target_ent.templateId, event.id], target_ent, module.exports.debug);
-			guide.handleEvent(["ab", target_ent.huntingZoneId, target_ent.templateId, event.id, event.stacks], target_ent, module.exports.debug);
+			guide.handleEvent(["ab", target_ent.huntingZoneId, target_ent.templateId, event.id], { ...target_ent, "stacks": event.stacks }, module.exports.debug);
+			guide.handleEvent(["ab", target_ent.huntingZoneId, target_ent.templateId, event.id, event.stacks], { ...target_ent, "stacks": event.stacks }, module.exports.debug);
 		}
 	}
 };
\ No newline at end of file
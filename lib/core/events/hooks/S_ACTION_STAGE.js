@@ -26,18 +26,7 @@ module.exports.callback = (deps, guide, event) => {
 	const ent = entity.mobs[event.gameId.toString()];
 
 	if (ent) {
-		let skillid = 0;
-
-		// Get range for skill ids of zone type
-		if (guide.type === SP)
-			// Skill id range 1000-3000 (SP)
-			skillid = event.skill.id;
-		else if (guide.type === ES)
-			// Skill id range 100-200-3000 (ES)
-			skillid = event.skill.id > 3000 ? event.skill.id : event.skill.id % 1000;
-		else
-			// Skill id range 100-200 (not set)
-			skillid = event.skill.id % 1000;
+		const skillid = guide.getSkillId(event.skill.id);
 
 		// Due to a bug for some bizare reason we do hooks ugly hack
 		event.loc.w = event.w;
@@ -50,6 +39,9 @@ module.exports.callback = (deps, guide, event) => {
 			library.applyDistance(event.loc, distance);
 		}
 
+		// Update last skill and position of the mob
+		guide.tracker.update(event.gameId, { "skill": skillid, "stage": event.stage, "loc": event.loc });
+
 		// Call event
 		return guide.handleEvent(["s", ent.huntingZoneId, ent.templateId, skillid, event.stage], { ...ent, ...event }, module.exports.debug);
 	}
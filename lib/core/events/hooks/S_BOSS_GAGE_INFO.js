@@ -23,16 +23,32 @@ module.exports.callback = (deps, guide, event) => {
 	const ent = entity.mobs[event.id.toString()];
 
 	if (ent) {
+		// Detect the pull and the reset of the boss
+		guide.fight.gage(ent, event);
+
+		// Call event of target (aggro) change
+		if (event.target && event.target.toString() !== "0" && guide.tracker.get(event.id).target !== event.target.toString()) {
+			guide.tracker.update(event.id, { "target": event.target.toString() });
+			guide.handleEvent(["tg", ent.huntingZoneId, ent.templateId], { ...ent, "target": deps.party.getInfo(event.target) }, { ...module.exports.debug, "name": "Target" });
+		}
+
+		// Update the HP rate and call events of HP warnings
+		guide.tracker.sampleHp(event.id, Number(event.curHp) / Number(event.maxHp) * 100);
+		guide.fight.checkWarnings(ent, event.id.toString());
+
 		// Calculate hp number
 		const hp = Math.floor(Number(event.curHp) / Number(event.maxHp) * 100);
 
 		// Check mob's hp of existing value for single call the event
-		if (guide.data.mobsHp[event.id] == hp) return;
+		if (guide.tracker.get(event.id).hp === hp) return;
 
-		// Add mob hp to list
-		guide.data.mobsHp[event.id] = hp;
+		// Update mob hp in the tracker
+		guide.tracker.update(event.id, { hp });
 
 		// Call event
-		return guide.handleEvent(["h", ent.huntingZoneId, ent.templateId, hp], ent, module.exports.debug);
+		guide.handleEvent(["h", ent.huntingZoneId, ent.templateId, hp], ent, module.exports.debug);
+
+		// Call events of crossed HP thresholds
+		guide.fight.checkThresholds(ent, event.id.toString(), hp);
 	}
 };
\ No newline at end of file
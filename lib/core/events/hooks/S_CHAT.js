@@ -0,0 +1,35 @@
+"use strict";
+
+// Chat channels of party and raid (party, party notice, raid notice, raid)
+const CHANNELS = [1, 21, 25, 32];
+
+/**
+ * @typedef {import("../../hooks").deps} deps
+ * @typedef {import("../../guide")} guide
+ */
+
+module.exports.debug = Object.freeze({
+	"name": "Chat",
+	"color": cb
+});
+
+/**
+ * @param {deps} deps
+ * @param {guide} guide
+ * @param {Object} event
+ */
+module.exports.callback = (deps, guide, event) => {
+
+	if (!CHANNELS.includes(event.channel)) return;
+
+	const name = event.name || event.authorName;
+
+	// Ignore the notices sent by the module itself
+	if (deps.params.chat_name && name === deps.params.chat_name) return;
+
+	// Remove the HTML tags from the message
+	const message = deps.functions.unescapeHtml(deps.functions.stripTags(event.message));
+
+	// Call events of matched chat keys
+	guide.matchTexts("ch", message, { "huntingZoneId": 0, "templateId": 0, "name": name, "channel": event.channel }, module.exports.debug);
+};
\ No newline at end of file
@@ -0,0 +1,27 @@
+"use strict";
+
+/**
+ * @typedef {import("../../hooks").deps} deps
+ * @typedef {import("../../guide")} guide
+ */
+
+module.exports.debug = Object.freeze({
+	"name": "My Health",
+	"color": cr
+});
+
+/**
+ * @param {deps} deps
+ * @param {guide} guide
+ * @param {Object} event
+ */
+module.exports.callback = (deps, guide, event) => {
+
+	const { player } = deps.mod.require.library;
+
+	// Return if HP of not me
+	if (!player.isMe(event.target)) return;
+
+	// Call events of crossed HP thresholds
+	guide.fight.checkPlayerHp(event.target, Math.floor(Number(event.curHp) / Number(event.maxHp) * 100));
+};
\ No newline at end of file
@@ -0,0 +1,41 @@
+"use strict";
+
+/**
+ * @typedef {import("../../hooks").deps} deps
+ * @typedef {import("../../guide")} guide
+ */
+
+module.exports.debug = Object.freeze({
+	"name": "Rotate",
+	"color": cy
+});
+
+/**
+ * @param {deps} deps
+ * @param {guide} guide
+ * @param {Object} event
+ */
+module.exports.callback = (deps, guide, event) => {
+
+	const { entity } = deps.mod.require.library;
+
+	// Get mob ent
+	const ent = entity.mobs[event.gameId.toString()];
+
+	if (ent) {
+		const tracked = guide.tracker.get(event.gameId);
+
+		// Set the new heading to the last known location
+		const loc = (tracked.loc || ent.loc).clone();
+		loc.w = event.w;
+
+		// Update position of the mob
+		guide.tracker.update(event.gameId, { loc });
+
+		// Ignore if the events are not used, the packet is sent frequently
+		if (!guide.isKeyUsed("rt")) return;
+
+		// Call event
+		return guide.handleEvent(["rt", ent.huntingZoneId, ent.templateId], { ...ent, loc, "w": event.w }, module.exports.debug);
+	}
+};
\ No newline at end of file
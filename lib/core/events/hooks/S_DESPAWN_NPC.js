@@ -22,6 +22,19 @@ module.exports.callback = (deps, guide, event) => {
 	// Get mob ent
 	const ent = entity.mobs[event.gameId.toString()];
 
-	if (ent)
-		return guide.handleEvent(["nd", ent.huntingZoneId, ent.templateId], ent, module.exports.debug);
+	if (ent) {
+		guide.handleEvent(["nd", ent.huntingZoneId, ent.templateId], ent, module.exports.debug);
+
+		// Detect the kill of the boss
+		guide.fight.despawn(ent, event);
+
+		// Call event with number of alive NPCs of the template (despawn type 1 is out of view, NPC is still alive)
+		const count = event.type !== 1 ? guide.tracker.removeAlive(ent) : null;
+
+		if (count !== null)
+			guide.handleEvent(["nc", ent.huntingZoneId, ent.templateId, count], ent, { ...module.exports.debug, "name": "NPC Count" });
+	}
+
+	// Stop tracking of the despawned NPC
+	guide.tracker.remove(event.gameId);
 };
\ No newline at end of file
@@ -20,5 +20,8 @@ module.exports.callback = (deps, guide, event) => {
 	const result = /@dungeon:(\d+)/g.exec(event.message);
 
 	if (result)
-		return guide.handleEvent(["dm", 0, 0, parseInt(result[1])], { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
+		guide.handleEvent(["dm", 0, 0, parseInt(result[1])], { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
+
+	// Call events of matched text keys
+	guide.matchTexts("tx", event.message, { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
 };
\ No newline at end of file
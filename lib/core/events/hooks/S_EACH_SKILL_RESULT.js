@@ -0,0 +1,49 @@
+"use strict";
+
+/**
+ * @typedef {import("../../hooks").deps} deps
+ * @typedef {import("../../guide")} guide
+ */
+
+module.exports.debug = Object.freeze({
+	"name": "Skill Hit",
+	"color": cy
+});
+
+/**
+ * @param {deps} deps
+ * @param {guide} guide
+ * @param {Object} event
+ */
+module.exports.callback = (deps, guide, event) => {
+
+	const { entity, player } = deps.mod.require.library;
+
+	// Return if skill of not NPC
+	if (!event.skill.npc) return;
+
+	// Get mob ent (owner is set for projectiles)
+	const ent = entity.mobs[(event.owner && event.owner.toString() !== "0" ? event.owner : event.source).toString()];
+
+	if (!ent) return;
+
+	let type = null;
+
+	if (player.isMe(event.target))
+		// Skill of mob (boss) hit me
+		type = "sm";
+	else if (deps.party.get(event.target))
+		// Skill of mob (boss) hit party member
+		type = "sp";
+	else
+		return;
+
+	const skillid = guide.getSkillId(event.skill.id);
+	const target = deps.party.getInfo(event.target);
+
+	// Count the hit
+	guide.fight.addHit(ent, skillid, target.name || target.gameId.toString());
+
+	// Call event
+	return guide.handleEvent([type, ent.huntingZoneId, ent.templateId, skillid], { ...ent, target, "damage": event.value }, module.exports.debug);
+};
\ No newline at end of file
@@ -0,0 +1,39 @@
+"use strict";
+
+/**
+ * @typedef {import("../../hooks").deps} deps
+ * @typedef {import("../../guide")} guide
+ */
+
+module.exports.debug = Object.freeze({
+	"name": "Move",
+	"color": cy
+});
+
+/**
+ * @param {deps} deps
+ * @param {guide} guide
+ * @param {Object} event
+ */
+module.exports.callback = (deps, guide, event) => {
+
+	const { entity } = deps.mod.require.library;
+
+	// Get mob ent
+	const ent = entity.mobs[event.gameId.toString()];
+
+	if (ent) {
+		// Set the heading to the location
+		const loc = event.loc.clone();
+		loc.w = event.w;
+
+		// Update position of the mob
+		guide.tracker.update(event.gameId, { loc });
+
+		// Ignore if the events are not used, the packet is sent frequently
+		if (!guide.isKeyUsed("mv")) return;
+
+		// Call event
+		return guide.handleEvent(["mv", ent.huntingZoneId, ent.templateId], { ...ent, loc, "dest": event.dest, "speed": event.speed }, module.exports.debug);
+	}
+};
\ No newline at end of file
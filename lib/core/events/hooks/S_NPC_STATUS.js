@@ -23,17 +23,35 @@ module.exports.callback = (deps, guide, event) => {
 	const ent = entity.mobs[event.gameId.toString()];
 
 	if (ent) {
+		const tracked = guide.tracker.get(event.gameId);
+		const gameId = event.gameId.toString();
+
+		// Update expected time of the rage end and the countdown
+		if (event.enraged && event.remainingEnrageTime > 0) {
+			tracked.rageEnds = deps.clock.now() + event.remainingEnrageTime;
+			guide.fight.startRageCountdown(ent, gameId, event.remainingEnrageTime);
+		}
+
 		// Begin mob/boss rage
-		if (event.enraged && !guide.data.mobsRage[event.gameId]) {
-			guide.data.mobsRage[event.gameId] = true;
+		if (event.enraged && !tracked.rage) {
+			tracked.rage = true;
+			tracked.rageCount++;
+			tracked.rageStarted = deps.clock.now();
 
 			// Call event
-			return guide.handleEvent(["rb", ent.huntingZoneId, ent.templateId], ent, { ...module.exports.debug, "name": "Rage Begin" });
+			guide.handleEvent(["rb", ent.huntingZoneId, ent.templateId], ent, { ...module.exports.debug, "name": "Rage Begin" });
+
+			// Call event with number of the rage in the pull
+			return guide.handleEvent(["rb", ent.huntingZoneId, ent.templateId, tracked.rageCount], ent, { ...module.exports.debug, "name": "Rage Begin" });
 		}
 
 		// End of mob/boss rage
-		if (!event.enraged && guide.data.mobsRage[event.gameId]) {
-			guide.data.mobsRage[event.gameId] = false;
+		if (!event.enraged && tracked.rage) {
+			tracked.rage = false;
+			tracked.rageEnds = null;
+			tracked.rageDuration = deps.clock.now() - tracked.rageStarted;
+
+			guide.fight.stopRageCountdown(gameId);
 
 			// Call event
 			return guide.handleEvent(["re", ent.huntingZoneId, ent.templateId], ent, { ...module.exports.debug, "name": "Rage End" });
@@ -23,5 +23,8 @@ module.exports.callback = (deps, guide, event) => {
 	const result = /@(monsterBehavior|dungeon):(\d+)/g.exec(event.message);
 
 	if (result && source_ent)
-		return guide.handleEvent(["qb", source_ent.huntingZoneId, source_ent.templateId, parseInt(result[2])], source_ent, module.exports.debug);
+		guide.handleEvent(["qb", source_ent.huntingZoneId, source_ent.templateId, parseInt(result[2])], source_ent, module.exports.debug);
+
+	// Call events of matched text keys
+	guide.matchTexts("tx", event.message, source_ent || { "huntingZoneId": 0, "templateId": 0 }, module.exports.debug);
 };
\ No newline at end of file
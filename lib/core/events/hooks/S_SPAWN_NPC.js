@@ -22,6 +22,23 @@ module.exports.callback = (deps, guide, event) => {
 	// Get mob ent
 	const ent = entity.mobs[event.gameId.toString()];
 
-	if (ent)
-		return guide.handleEvent(["ns", ent.huntingZoneId, ent.templateId], ent, { "name": "Spawn", "color": co });
+	if (ent) {
+		// Start tracking of the spawned NPC
+		const loc = event.loc.clone();
+		loc.w = event.w;
+
+		guide.tracker.remove(event.gameId);
+		guide.tracker.update(event.gameId, { "spawned": deps.clock.now(), loc });
+		guide.tracker.queryName(ent);
+
+		// Add to the number of alive NPCs of the template
+		const count = guide.tracker.addAlive(ent);
+
+		// Call event
+		guide.handleEvent(["ns", ent.huntingZoneId, ent.templateId], ent, { "name": "Spawn", "color": co });
+
+		// Call event with number of alive NPCs of the template
+		if (count !== null)
+			guide.handleEvent(["nc", ent.huntingZoneId, ent.templateId, count], ent, { "name": "NPC Count", "color": co });
+	}
 };
\ No newline at end of file
@@ -0,0 +1,33 @@
+"use strict";
+
+/**
+ * @typedef {import("../../hooks").deps} deps
+ * @typedef {import("../../guide")} guide
+ */
+
+module.exports.debug = Object.freeze({
+	"name": "System Message",
+	"color": cb
+});
+
+/**
+ * @param {deps} deps
+ * @param {guide} guide
+ * @param {Object} event
+ */
+module.exports.callback = (deps, guide, event) => {
+
+	let result = null;
+
+	try {
+		result = deps.mod.parseSystemMessage(event.message);
+	} catch (e) {
+		return;
+	}
+
+	// Call event with the tokens of message
+	guide.handleEvent(["sy", result.id], { "huntingZoneId": 0, "templateId": 0, "tokens": result.tokens }, module.exports.debug);
+
+	// Call events of matched text keys
+	guide.matchTexts("tx", event.message, { "huntingZoneId": 0, "templateId": 0, "tokens": result.tokens }, module.exports.debug);
+};
\ No newline at end of file
@@ -0,0 +1,406 @@
+"use strict";
+
+/**
+ * Engaged boss.
+ * @typedef {Object} boss
+ * @property {Object} ent Entity object of the boss.
+ * @property {number} started Time of the pull.
+ */
+
+/**
+ * @typedef {import("../../index").deps} deps
+ * @typedef {import("./guide")} guide
+ */
+
+class Fight {
+	/**
+	 * Creates an instance of Fight.
+	 * @param {deps} deps
+	 * @param {guide} guide
+	 * @memberof Fight
+	 */
+	constructor(deps, guide) {
+		this.__deps = deps;
+		this.__guide = guide;
+
+		/** @type {Map<string, boss>} List of engaged bosses by gameId */
+		this.__bosses = new Map();
+
+		// The party is wiped
+		this.__wiped = false;
+
+		// List of HP thresholds by "huntingZoneId-templateId"
+		this.__thresholds = new Map();
+
+		// List of crossed HP thresholds by gameId
+		this.__crossed = new Map();
+
+		// List of HP warnings (percent and seconds) by "huntingZoneId-templateId"
+		this.__warnings = new Map();
+
+		// List of emitted HP warnings by gameId
+		this.__warned = new Map();
+
+		// List of rage countdown seconds by "huntingZoneId-templateId"
+		this.__rageCountdowns = new Map();
+
+		// List of player HP thresholds by key type ("mh" or "ph")
+		this.__playerThresholds = new Map();
+
+		// List of crossed player HP thresholds by gameId
+		this.__playerCrossed = new Map();
+
+		// Number of hits by skills of bosses, by "huntingZoneId-templateId-skillId" and player name
+		this.__hits = new Map();
+	}
+
+	/**
+	 * Add the rage countdown from the key, like "rc-3126-1000-5".
+	 * @param {string} key Event key.
+	 * @return {boolean} True if the key is valid.
+	 * @memberof Fight
+	 */
+	addRageCountdown(key) {
+		const parts = key.split("-");
+
+		if (parts.length !== 4 || parts.slice(1).some(part => !/^\d+$/.test(part))) return false;
+
+		const template = `${parts[1]}-${parts[2]}`;
+
+		if (!this.__rageCountdowns.has(template))
+			this.__rageCountdowns.set(template, new Set());
+
+		this.__rageCountdowns.get(template).add(parseInt(parts[3]));
+
+		return true;
+	}
+
+	/**
+	 * Start (or correct) the timers of the "rc" events emitted the specified seconds before the rage end.
+	 * @param {Object} ent Entity object of the boss.
+	 * @param {string} gameId Game identifier of the boss.
+	 * @param {number} remaining Remaining time of the rage in milliseconds.
+	 * @memberof Fight
+	 */
+	startRageCountdown(ent, gameId, remaining) {
+		const countdowns = this.__rageCountdowns.get(`${ent.huntingZoneId}-${ent.templateId}`);
+
+		if (!countdowns) return;
+
+		countdowns.forEach(seconds => {
+			const name = `rage-${gameId}-${seconds}`;
+
+			// Don't restart the countdown which is already emitted
+			if (remaining <= seconds * 1000 && !this.__guide.timers.has(name)) return;
+
+			this.__guide.timers.set(() =>
+				this.__guide.handleEvent(["rc", ent.huntingZoneId, ent.templateId, seconds], { ...ent, "remaining": seconds }, { "name": "Rage Countdown", "color": cr })
+			, remaining - seconds * 1000, name, `rage-${gameId}`);
+		});
+	}
+
+	/**
+	 * Stop the timers of rage countdown.
+	 * @param {string} gameId Game identifier of the boss.
+	 * @memberof Fight
+	 */
+	stopRageCountdown(gameId) {
+		this.__guide.timers.clearTag(`rage-${gameId}`);
+	}
+
+	/**
+	 * Add the player HP threshold from the key, like "mh-30" or "ph-30".
+	 * @param {string} key Event key.
+	 * @return {boolean} True if the key is valid.
+	 * @memberof Fight
+	 */
+	addPlayerThreshold(key) {
+		const parts = key.split("-");
+
+		if (parts.length !== 2 || !/^\d+$/.test(parts[1])) return false;
+
+		if (!this.__playerThresholds.has(parts[0]))
+			this.__playerThresholds.set(parts[0], new Set());
+
+		this.__playerThresholds.get(parts[0]).add(parseInt(parts[1]));
+
+		return true;
+	}
+
+	/**
+	 * Emit the "mh" (own) or "ph" (party member) events for crossed HP thresholds of the player.
+	 * The threshold is re-armed when the player is healed above it.
+	 * @param {(string|bigint)} gameId Game identifier of the player.
+	 * @param {number} hp Current HP percent.
+	 * @memberof Fight
+	 */
+	checkPlayerHp(gameId, hp) {
+		const type = this.__deps.mod.require.library.player.isMe(gameId) ? "mh" : "ph";
+		const thresholds = this.__playerThresholds.get(type);
+
+		if (!thresholds) return;
+
+		const id = gameId.toString();
+
+		if (!this.__playerCrossed.has(id))
+			this.__playerCrossed.set(id, new Set());
+
+		const crossed = this.__playerCrossed.get(id);
+
+		[...thresholds].sort((a, b) => b - a).forEach(threshold => {
+			if (hp > threshold)
+				return crossed.delete(threshold);
+
+			if (crossed.has(threshold)) return;
+
+			crossed.add(threshold);
+
+			this.__guide.handleEvent([type, threshold], { "huntingZoneId": 0, "templateId": 0, "target": this.__deps.party.getInfo(gameId), hp }, { "name": type === "mh" ? "My Health" : "Party Health", "color": cr });
+		});
+	}
+
+	/**
+	 * Count the hit by skill of the boss.
+	 * @param {Object} ent Entity object of the boss.
+	 * @param {number} skillId Skill id in the range of the zone type.
+	 * @param {string} name Name of the hit player.
+	 * @memberof Fight
+	 */
+	addHit(ent, skillId, name) {
+		const skill = `${ent.huntingZoneId}-${ent.templateId}-${skillId}`;
+
+		if (!this.__hits.has(skill))
+			this.__hits.set(skill, new Map());
+
+		const hits = this.__hits.get(skill);
+
+		hits.set(name, (hits.get(name) || 0) + 1);
+	}
+
+	/**
+	 * Add the HP threshold from the key, like "hb-3126-1000-50".
+	 * @param {string} key Event key.
+	 * @return {boolean} True if the key is valid.
+	 * @memberof Fight
+	 */
+	addThreshold(key) {
+		const parts = key.split("-");
+
+		if (parts.length !== 4 || parts.slice(1).some(part => !/^\d+$/.test(part))) return false;
+
+		const template = `${parts[1]}-${parts[2]}`;
+
+		if (!this.__thresholds.has(template))
+			this.__thresholds.set(template, new Set());
+
+		this.__thresholds.get(template).add(parseInt(parts[3]));
+
+		return true;
+	}
+
+	/**
+	 * Add the HP warning from the key, like "hw-3126-1000-50-10".
+	 * @param {string} key Event key.
+	 * @return {boolean} True if the key is valid.
+	 * @memberof Fight
+	 */
+	addWarning(key) {
+		const parts = key.split("-");
+
+		if (parts.length !== 5 || parts.slice(1).some(part => !/^\d+$/.test(part))) return false;
+
+		const template = `${parts[1]}-${parts[2]}`;
+
+		if (!this.__warnings.has(template))
+			this.__warnings.set(template, []);
+
+		this.__warnings.get(template).push({ "hp": parseInt(parts[3]), "time": parseInt(parts[4]) });
+
+		return true;
+	}
+
+	/**
+	 * Emit the "hw" events when the boss is predicted to reach the HP percent in specified seconds.
+	 * Each warning is emitted once per pull.
+	 * @param {Object} ent Entity object of the boss.
+	 * @param {string} gameId Game identifier of the boss.
+	 * @memberof Fight
+	 */
+	checkWarnings(ent, gameId) {
+		const warnings = this.__warnings.get(`${ent.huntingZoneId}-${ent.templateId}`);
+		const tracked = this.__guide.tracker.get(gameId);
+
+		if (!warnings || !tracked || tracked.hpSample === null) return;
+
+		if (!this.__warned.has(gameId))
+			this.__warned.set(gameId, new Set());
+
+		const warned = this.__warned.get(gameId);
+
+		warnings.forEach(warning => {
+			const id = `${warning.hp}-${warning.time}`;
+
+			if (warned.has(id)) return;
+
+			// Skip the warning if the boss has already reached the HP
+			if (tracked.hpSample.hp <= warning.hp)
+				return warned.add(id);
+
+			const time = this.__guide.tracker.predictHp(gameId, warning.hp);
+
+			if (time === null || time > warning.time) return;
+
+			warned.add(id);
+
+			this.__guide.handleEvent(["hw", ent.huntingZoneId, ent.templateId, warning.hp, warning.time], { ...ent, "remaining": Math.round(time) }, { "name": "Health Warning", "color": cr });
+		});
+	}
+
+	/**
+	 * Emit the "hb" events for HP thresholds crossed by the boss.
+	 * Each threshold is emitted once per pull, even if the HP value is skipped.
+	 * @param {Object} ent Entity object of the boss.
+	 * @param {string} gameId Game identifier of the boss.
+	 * @param {number} hp Current HP percent.
+	 * @memberof Fight
+	 */
+	checkThresholds(ent, gameId, hp) {
+		const thresholds = this.__thresholds.get(`${ent.huntingZoneId}-${ent.templateId}`);
+
+		if (!thresholds) return;
+
+		if (!this.__crossed.has(gameId))
+			this.__crossed.set(gameId, new Set());
+
+		const crossed = this.__crossed.get(gameId);
+
+		// Emit the thresholds from the highest to the lowest
+		[...thresholds].sort((a, b) => b - a).forEach(threshold => {
+			if (hp > threshold) {
+				// Re-arm the threshold when the boss is healed above it
+				if (this.__guide.options.hp_rearm)
+					crossed.delete(threshold);
+
+				return;
+			}
+
+			if (crossed.has(threshold)) return;
+
+			crossed.add(threshold);
+
+			this.__guide.handleEvent(["hb", ent.huntingZoneId, ent.templateId, threshold], ent, { "name": "Health Below", "color": cr });
+		});
+	}
+
+	/**
+	 * Handle the boss HP update to detect the pull and the reset of the boss.
+	 * @param {Object} ent Entity object of the boss.
+	 * @param {Object} event Packet data of S_BOSS_GAGE_INFO.
+	 * @memberof Fight
+	 */
+	gage(ent, event) {
+		const gameId = event.id.toString();
+		const damaged = Number(event.curHp) < Number(event.maxHp);
+		const targeted = event.target !== undefined && event.target !== null && event.target.toString() !== "0";
+
+		if (!this.__bosses.has(gameId)) {
+			// The boss is pulled when it has the target (aggro) and loses HP, the wiped boss has no target
+			if (!damaged || !targeted) return;
+
+			this.__bosses.set(gameId, { "ent": ent, "started": this.__deps.clock.now() });
+
+			return this.__guide.handleEvent(["pull", ent.huntingZoneId, ent.templateId], ent, { "name": "Pull", "color": cg });
+		}
+
+		// The boss is back to full HP without the target (aggro), the healing mechanics are not affected
+		if (!damaged && !targeted && this.__guide.options.hp_reset) {
+			this.__guide.reset();
+
+			return this.__guide.handleEvent(["reset", ent.huntingZoneId, ent.templateId], ent, { "name": "Reset", "color": co });
+		}
+	}
+
+	/**
+	 * Handle the despawn of the boss to detect the kill.
+	 * @param {Object} ent Entity object of the boss.
+	 * @param {Object} event Packet data of S_DESPAWN_NPC.
+	 * @memberof Fight
+	 */
+	despawn(ent, event) {
+		const gameId = event.gameId.toString();
+
+		this.__crossed.delete(gameId);
+		this.__warned.delete(gameId);
+		this.stopRageCountdown(gameId);
+
+		if (!this.__bosses.delete(gameId)) return;
+
+		// Despawn type 5 is the death of the NPC
+		if (event.type === 5)
+			return this.__guide.handleEvent(["kill", ent.huntingZoneId, ent.templateId], ent, { "name": "Kill", "color": cg });
+	}
+
+	/**
+	 * Check the party is wiped and emit the "wipe" event.
+	 * @memberof Fight
+	 */
+	checkWipe() {
+		if (this.__wiped || !this.__deps.party.isWiped()) return;
+
+		const { player } = this.__deps.mod.require.library;
+
+		this.__wiped = true;
+
+		// Reset the guide state before the event, so its handlers are not affected
+		this.__guide.reset();
+
+		this.__guide.handleEvent(["wipe"], player, { "name": "Wipe", "color": cr });
+	}
+
+	/**
+	 * Clear the wiped state when the player or a party member is alive again.
+	 * @memberof Fight
+	 */
+	revive() {
+		this.__wiped = false;
+	}
+
+	/**
+	 * Clear the list of engaged bosses, crossed HP thresholds and emitted HP warnings, so they are pulled again after losing HP.
+	 * @memberof Fight
+	 */
+	clear() {
+		this.__bosses.clear();
+		this.__crossed.clear();
+		this.__warned.clear();
+	}
+
+	/**
+	 * Get list of engaged bosses.
+	 * @readonly
+	 * @memberof Fight
+	 */
+	get bosses() {
+		return this.__bosses;
+	}
+
+	/**
+	 * Get number of hits by skills of bosses.
+	 * @readonly
+	 * @memberof Fight
+	 */
+	get hits() {
+		return this.__hits;
+	}
+
+	/**
+	 * Get the wiped state of the party.
+	 * @readonly
+	 * @memberof Fight
+	 */
+	get wiped() {
+		return this.__wiped;
+	}
+}
+
+module.exports = Fight;
\ No newline at end of file
@@ -118,6 +118,71 @@ class Functions {
 		return false;
 	}
 
+	/**
+	 * Check the condition of variable values.
+	 * @param {(Object|Object[])} condition Object of variable names and expected values or array of objects.
+	 * @param {Map} values Map of variable values.
+	 * @return {boolean} True if all values of the object (or any object of the array) are matched.
+	 * @memberof Functions
+	 */
+	conditionCheck(condition, values) {
+		// if it's not defined we assume that it's always passed
+		if (condition === undefined || condition === null) return true;
+
+		// If one of the conditions pass, we can accept it
+		if (Array.isArray(condition))
+			return condition.some(entry => this.conditionCheck(entry, values));
+
+		return Object.keys(condition).every(name => {
+			const expected = condition[name];
+
+			// Not assigned variable has zero value
+			const value = values.has(name) ? values.get(name) : 0;
+
+			// Compare with the value as is
+			if (expected === null || typeof expected !== "object")
+				return value == expected;
+
+			if (Array.isArray(expected))
+				return expected.some(entry => entry == value);
+
+			return Object.keys(expected).every(operator => {
+				const operand = expected[operator];
+
+				switch (operator) {
+					case "eq":
+						return value == operand;
+
+					case "ne":
+						return value != operand;
+
+					case "gt":
+						return value > operand;
+
+					case "gte":
+						return value >= operand;
+
+					case "lt":
+						return value < operand;
+
+					case "lte":
+						return value <= operand;
+
+					case "in":
+						return Array.isArray(operand) && operand.some(entry => entry == value);
+
+					// Divisor and remainder, like [3, 0] for every 3rd value
+					case "mod":
+						return Array.isArray(operand) && value % operand[0] == (operand[1] || 0);
+
+					default:
+						this.__deps.mod.warn(`Failed to find condition operator: ${operator}`);
+						return false;
+				}
+			});
+		});
+	}
+
 	/**
 	 * Format text of message.
 	 * @param {string} message Message text string to format.
@@ -167,6 +232,24 @@ class Functions {
 
 		return text.replace(new RegExp("[&<>\"']", "g"), key => map[key]);
 	}
+
+	/**
+	 * Replace html entities with special chars.
+	 * @param {string} text Text string to format.
+	 * @return {string} Formatted text string.
+	 * @memberof Functions
+	 */
+	unescapeHtml(text) {
+		const map = {
+			"&amp;": "&",
+			"&lt;": "<",
+			"&gt;": ">",
+			"&quot;": "\"",
+			"&#039;": "'"
+		};
+
+		return text.replace(new RegExp("&(amp|lt|gt|quot|#039);", "g"), key => map[key]);
+	}
 }
 
 module.exports = Functions;
\ No newline at end of file
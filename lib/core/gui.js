@@ -203,7 +203,9 @@ class Gui {
 						{ "text": `<font size="+20">${zone.settings.name || "not defined" }</font>` }, { "text": "<br>" },
 						{ "text": `<font color="${gcy}" size="+20">Guide type:</font>` }, { "text": "&nbsp;&nbsp;" },
 						// eslint-disable-next-line no-nested-ternary
-						{ "text": `<font size="+20">${zone.guide.type === SP ? "SP" : (zone.guide.type === ES ? "ES" : "standard")}</font>` }, { "text": "<br>" }
+						{ "text": `<font size="+20">${zone.guide.type === SP ? "SP" : (zone.guide.type === ES ? "ES" : "standard")}</font>` }, { "text": "<br>" },
+						{ "text": `<font color="${gcy}" size="+20">Guide phase:</font>` }, { "text": "&nbsp;&nbsp;" },
+						{ "text": `<font size="+20">${zone.guide.phase || "not set"}</font>` }, { "text": "<br>" }
 					);
 
 					// Actions
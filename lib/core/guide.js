@@ -2,6 +2,10 @@
 
 const EventEmitter = require("events").EventEmitter;
 const Hooks = require("./hooks");
+const Timers = require("./timers");
+const Fight = require("./fight");
+const Tracker = require("./tracker");
+const Abnormals = require("./abnormals");
 
 // Hook settings
 const HOOK_SETTINGS = Object.freeze({
@@ -37,17 +41,49 @@ class Guide extends EventEmitter {
 		// Object of guide context
 		this.__context = {};
 
+		// Current phase of the fight
+		this.__phase = null;
+
+		// Guide variables
+		this.__vars = new Map();
+
+		// List of key types used in the guide
+		this.__keyTypes = new Set();
+
+		// Guide options
+		this.__options = {
+			"hp_rearm": false, // re-arm the "hb" HP thresholds when the boss is healed above it
+			"hp_reset": true, // reset the fight when the boss is back to full HP without the target
+			"party_abnormals": false // emit the "ag" events for abnormalities applied by party members
+		};
+
+		// List of compiled pattern keys by key type and number of key parts
+		this.__patterns = new Map();
+
+		// List of compiled text keys by key type ("tx" or "ch")
+		this.__texts = new Map();
+
 		// Guide temporary data
 		this.__data = {
 			"abnormals": new Map(), // list of registred abnormalities
-			"ent": null, // last entity of triggered event by func handler
-			"mobsHp": {}, // list of last values of mobs HP
-			"mobsRage": {} // list of last values of mobs rage status
+			"ent": null // last entity of triggered event by func handler
 		};
 
 		// Create an instance of Hooks
 		this.__hooks = new Hooks(deps, this);
 
+		// Create an instance of Timers
+		this.__timers = new Timers(deps);
+
+		// Create an instance of Fight
+		this.__fight = new Fight(deps, this);
+
+		// Create an instance of Tracker
+		this.__tracker = new Tracker(deps);
+
+		// Create an instance of Abnormals
+		this.__abnormals = new Abnormals(deps, this);
+
 		// Set max listeners number
 		this.setMaxListeners(30);
 	}
@@ -79,6 +115,24 @@ class Guide extends EventEmitter {
 				set "type"(value) {
 					guide.__type = value;
 				},
+				get "phase"() {
+					return guide.__phase;
+				},
+				get "vars"() {
+					return guide.__vars;
+				},
+				get "timers"() {
+					return guide.__timers;
+				},
+				get "tracker"() {
+					return guide.__tracker;
+				},
+				get "abnormals"() {
+					return guide.__abnormals;
+				},
+				get "options"() {
+					return guide.__options;
+				},
 				get "settings"() {
 					return guide.__deps.zone.settings;
 				}
@@ -110,6 +164,18 @@ class Guide extends EventEmitter {
 		// Add affected hooks
 		this.addHooks(debugMode);
 
+		// Query names of NPCs of the guide zone and hunting zones used in the keys
+		const huntingZoneIds = new Set([parseInt(this.__id)]);
+
+		Object.keys(this.__context).forEach(key => {
+			const parts = key.split("-");
+
+			if (parts.length >= 3 && /^[1-9]\d*$/.test(parts[1]) && /^\d+$/.test(parts[2]))
+				huntingZoneIds.add(parseInt(parts[1]));
+		});
+
+		this.__tracker.queryNames([...huntingZoneIds]);
+
 		// Add party markers update hook
 		this.__deps.dispatch.hook(...this.__deps.proto.getData("S_PARTY_MARKER"), HOOK_SETTINGS.LAST, ({ markers }) => {
 			this.__deps.handlers.data.markers.clear();
@@ -126,14 +192,18 @@ class Guide extends EventEmitter {
 	 * @memberof Guide
 	 */
 	unload(debugMode = false) {
+		// Stop recording of packets
+		if (this.__deps.recorder.active)
+			this.__deps.handlers.send.debug(debugMode, `Recording stopped: ${this.__deps.recorder.stop()}`);
+
 		// Remove the hooks
 		this.__hooks.unload(debugMode);
 
 		// Remove all custom hooks
 		this.__deps.dispatch.unhookAll();
 
-		// Clear out the timers
-		this.__deps.handlers.types.stop_timers();
+		// Clear out the timers of the guide
+		this.__timers.clearAll();
 
 		// Force despawn for all spawned objects
 		this.__deps.handlers.types.despawn_all();
@@ -144,6 +214,9 @@ class Guide extends EventEmitter {
 		// Clear out handlers data
 		this.__deps.handlers.clearData();
 
+		// Clear out tracked NPCs
+		this.__tracker.clear();
+
 		// Remove all guide events
 		this.removeAllListeners();
 
@@ -151,6 +224,30 @@ class Guide extends EventEmitter {
 		this.__deps.handlers.send.debug(debugMode, `Guide "${this.__id}" has been unloaded.`);
 	}
 
+	/**
+	 * Reset the state of the guide after the wipe or the reset of the boss.
+	 * Clears the timers, spawned objects, markers, phase and variables.
+	 * @memberof Guide
+	 */
+	reset() {
+		// Clear out the timers of the guide
+		this.__timers.clearAll();
+
+		// Force despawn for all spawned objects
+		this.__deps.handlers.types.despawn_all();
+
+		// Force remove of all markers
+		this.__deps.handlers.types.marker_remove_all();
+
+		// Reset the phase and the variables
+		this.__phase = null;
+		this.__vars.clear();
+
+		// Clear the engaged bosses and the values of tracked NPCs counted per pull
+		this.__fight.clear();
+		this.__tracker.resetFight();
+	}
+
 	/**
 	 * Add event listners for guide.
 	 * @memberof Guide
@@ -164,6 +261,36 @@ class Guide extends EventEmitter {
 			if (key === "error")
 				return this.emit("error", `Cannot use word "${key}" as a key.`);
 
+			const textKey = key.startsWith("tx-") || key.startsWith("ch-");
+
+			// Compile the text key
+			if (textKey && !this.addText(key))
+				return this.emit("error", `Key "${key}" has invalid regular expression.`);
+
+			// Compile the key with wildcards or ranges
+			if (!textKey && /[*~]/.test(key) && !this.addPattern(key))
+				return this.emit("error", `Key "${key}" has invalid pattern.`);
+
+			// Add the HP threshold
+			if (key.startsWith("hb-") && !this.__fight.addThreshold(key))
+				return this.emit("error", `Key "${key}" has invalid HP threshold.`);
+
+			// Add the HP warning
+			if (key.startsWith("hw-") && !this.__fight.addWarning(key))
+				return this.emit("error", `Key "${key}" has invalid HP warning.`);
+
+			// Add the rage countdown
+			if (key.startsWith("rc-") && !this.__fight.addRageCountdown(key))
+				return this.emit("error", `Key "${key}" has invalid rage countdown.`);
+
+			// Add the abnormality expiry warning
+			if (key.startsWith("ax-") && !this.__abnormals.addExpiry(key))
+				return this.emit("error", `Key "${key}" has invalid abnormality expiry.`);
+
+			// Add the player HP threshold
+			if ((key.startsWith("mh-") || key.startsWith("ph-")) && !this.__fight.addPlayerThreshold(key))
+				return this.emit("error", `Key "${key}" has invalid HP threshold.`);
+
 			if (typeof events === "string" && events !== key)
 				// Add listener for alias entry
 				this.on(key, ent => {
@@ -185,6 +312,108 @@ class Guide extends EventEmitter {
 		});
 	}
 
+	/**
+	 * Compile the pattern key, like "s-3126-*-108-0" or "s-3126-1000-108-0~2".
+	 * @param {string} key Event key with wildcards ("*") or ranges ("min~max").
+	 * @return {boolean} True if the pattern is valid.
+	 * @memberof Guide
+	 */
+	addPattern(key) {
+		const parts = key.split("-");
+
+		// Wildcards are not allowed in the key type
+		if (/[*~]/.test(parts[0])) return false;
+
+		const matchers = [];
+
+		for (const part of parts.slice(1)) {
+			if (part === "*")
+				matchers.push(() => true);
+			else if (part.includes("~")) {
+				const [min, max] = part.split("~").map(value => parseInt(value));
+
+				if (isNaN(min) || isNaN(max)) return false;
+
+				matchers.push(value => value >= min && value <= max);
+			} else
+				matchers.push(value => value.toString() === part);
+		}
+
+		const index = `${parts[0]}:${parts.length}`;
+
+		if (!this.__patterns.has(index))
+			this.__patterns.set(index, []);
+
+		this.__patterns.get(index).push({ key, matchers });
+
+		return true;
+	}
+
+	/**
+	 * Get pattern keys matched to the event key.
+	 * @param {(string|number)[]} key Array of key parts.
+	 * @return {string[]} Array of matched pattern keys.
+	 * @memberof Guide
+	 */
+	matchPatterns(key) {
+		const patterns = this.__patterns.get(`${key[0]}:${key.length}`);
+
+		if (!patterns) return [];
+
+		return patterns
+			.filter(pattern => pattern.matchers.every((matcher, index) => matcher(key[index + 1])))
+			.map(pattern => pattern.key);
+	}
+
+	/**
+	 * Compile the text key, like "tx-Some text" or "ch-/^(left|right)$/i".
+	 * @param {string} key Event key with a text or a regular expression.
+	 * @return {boolean} True if the regular expression is valid.
+	 * @memberof Guide
+	 */
+	addText(key) {
+		const [type, ...parts] = key.split("-");
+		const text = parts.join("-");
+		const result = /^\/(.+)\/([a-z]*)$/.exec(text);
+		let regexp = null;
+
+		try {
+			regexp = result ? new RegExp(result[1], result[2]) : new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+		} catch (e) {
+			return false;
+		}
+
+		if (!this.__texts.has(type))
+			this.__texts.set(type, new Map());
+
+		this.__texts.get(type).set(text, regexp);
+
+		return true;
+	}
+
+	/**
+	 * Emit events of text keys matched with the message.
+	 * Captured groups are added to the entity object as "groups" (array) and "named" (object).
+	 * @param {string} type Key type ("tx" or "ch").
+	 * @param {string} message Message text.
+	 * @param {Object} ent Entity object from event.
+	 * @param {Object} debug Debug information params.
+	 * @memberof Guide
+	 */
+	matchTexts(type, message, ent, debug) {
+		if (!this.__texts.has(type)) return;
+
+		this.__texts.get(type).forEach((regexp, text) => {
+			const result = regexp.exec(message);
+
+			// Reset the position of global regular expression
+			regexp.lastIndex = 0;
+
+			if (result)
+				this.handleEvent([type, text], { ...ent, message, "groups": [...result], "named": result.groups || {} }, debug);
+		});
+	}
+
 	/**
 	 * Load affected hooks.
 	 * @param {boolean} [debugMode=false] Force enable debug messages.
@@ -200,9 +429,23 @@ class Guide extends EventEmitter {
 				keys.push(key);
 		});
 
+		this.__keyTypes = new Set(keys);
 		this.__hooks.load(keys, debugMode);
 	}
 
+	/**
+	 * Check the events of key type are used by the guide, or debug or recording is enabled for them.
+	 * Used to skip emitting of the frequently sent events.
+	 * @param {string} type Key type, like "mv".
+	 * @return {boolean} True if the events are used.
+	 * @memberof Guide
+	 */
+	isKeyUsed(type) {
+		const { settings } = this.__deps.mod;
+
+		return this.__keyTypes.has(type) || Boolean(settings.debug.all || settings.debug[type]) || this.__deps.recorder.active;
+	}
+
 	/**
 	 * Event handler.
 	 * @param {string[]} key Array of key parts for event emit.
@@ -212,39 +455,135 @@ class Guide extends EventEmitter {
 	 */
 	handleEvent(key, ent, debug) {
 		const keyString = key.join("-");
+		const patterns = this.matchPatterns(key);
+
+		// Add the key to the record file
+		this.__deps.recorder.addKey(keyString);
 
 		// Send debug messages if enabled
 		if (this.__deps.mod.settings.debug.all || this.__deps.mod.settings.debug[key[0]]) {
-			const message = this.__deps.functions.formatMessage(this.getEventMessage(keyString));
-			const defined = this.listenerCount(keyString) > 0 ? ` [${message || "defined"}]` : "";
+			const listened = this.listenerCount(keyString) > 0 || patterns.length > 0;
+			const message = this.__deps.functions.formatMessage(
+				[keyString, ...patterns].map(entry => this.getEventMessage(entry, ent)).filter(entry => entry).join(", ")
+			);
+			const defined = listened ? ` [${message || "defined"}]` : "";
+
+			// Collect the key without a listener for the guide skeleton
+			if (!listened)
+				this.__deps.skeleton.add(this.__id, keyString);
 
 			this.__deps.handlers.send.debug(true, `${cw}${debug.name}: ${debug.color}${keyString}${cw}${defined}`);
 		}
 
 		// Emit event
 		this.emit(keyString, ent);
+
+		// Emit events of matched pattern keys
+		patterns.forEach(pattern => this.emit(pattern, ent));
+	}
+
+	/**
+	 * Set current phase of the fight and emit the "phase_enter" event.
+	 * @param {(string|null)} phase Phase name or null to reset the phase.
+	 * @param {Object} [ent=null] Entity object from event.
+	 * @return {boolean} True if the phase has been changed.
+	 * @memberof Guide
+	 */
+	setPhase(phase, ent = null) {
+		if (this.__phase === phase) return false;
+
+		this.__phase = phase;
+
+		if (phase !== null)
+			this.handleEvent(["phase_enter", phase], ent || { "huntingZoneId": 0, "templateId": 0 }, { "name": "Phase", "color": cv });
+
+		return true;
+	}
+
+	/**
+	 * Check the current phase of the fight.
+	 * @param {(string|string[]|null)} phase Phase name or array of phase names.
+	 * @return {boolean} True if the current phase matches or phase is not specified.
+	 * @memberof Guide
+	 */
+	checkPhase(phase) {
+		// if it's not defined we assume that it's for any phase
+		if (phase === undefined) return true;
+
+		if (Array.isArray(phase))
+			return phase.some(name => this.checkPhase(name));
+
+		// Null matches the state before any phase is set
+		if (phase === null)
+			return this.__phase === null;
+
+		return this.__phase === phase.toString();
+	}
+
+	/**
+	 * Clear the timers with specified tag when one of the event keys is emitted.
+	 * @param {(string|string[])} keys Event key or array of event keys.
+	 * @param {*} tag Timer tag.
+	 * @param {number} duration Time in milliseconds after which the listeners are removed.
+	 * @memberof Guide
+	 */
+	clearTagOn(keys, tag, duration) {
+		const listener = () => this.__timers.clearTag(tag);
+
+		const remove = () => {
+			[].concat(keys).forEach(key => this.removeListener(key.toString(), listener));
+			this.__timers.clear(timer);
+			this.__timers.offClear(tag, remove);
+		};
+
+		[].concat(keys).forEach(key => this.on(key.toString(), listener));
+
+		// Remove the listeners after all tagged timers are expired, or when they are cleared
+		const timer = this.__timers.set(remove, duration);
+
+		this.__timers.onClear(tag, remove);
+	}
+
+	/**
+	 * Get skill id in the range of the zone type.
+	 * @param {number} id Skill id from the packet.
+	 * @return {number} Skill id used in the event key.
+	 * @memberof Guide
+	 */
+	getSkillId(id) {
+		// Skill id range 1000-3000 (SP)
+		if (this.__type === SP)
+			return id;
+
+		// Skill id range 100-200-3000 (ES)
+		if (this.__type === ES)
+			return id > 3000 ? id : id % 1000;
+
+		// Skill id range 100-200 (not set)
+		return id % 1000;
 	}
 
 	/**
 	 * Get event message string for specified event key.
 	 * @param {string} key Event key.
+	 * @param {Object} [ent=null] Entity object, used to replace the placeholders.
 	 * @return {string} Message string.
 	 * @memberof Guide
 	 */
-	getEventMessage(key) {
+	getEventMessage(key, ent = null) {
 		const message = [];
 
 		if (!Array.isArray(this.__context[key])) {
 			if (this.__context[key] === key) return;
 
-			return this.getEventMessage(this.__context[key]) || "";
+			return this.getEventMessage(this.__context[key], ent) || "";
 		}
 
 		this.__context[key].forEach(event => {
 			if (event.type === "alias") {
 				if (event.id === key) return;
 
-				const aliasMessage = this.getEventMessage(event.id);
+				const aliasMessage = this.getEventMessage(event.id, ent);
 
 				if (aliasMessage.length === 0) return;
 
@@ -252,7 +591,7 @@ class Guide extends EventEmitter {
 			}
 
 			if (event.type === "text")
-				message.push(this.__deps.lang.getEventText(event));
+				message.push(this.__deps.lang.getEventText(event, ent));
 		});
 
 		return message.join(", ");
@@ -285,6 +624,24 @@ class Guide extends EventEmitter {
 		this.__type = value;
 	}
 
+	/**
+	 * Get current phase of the fight.
+	 * @readonly
+	 * @memberof Guide
+	 */
+	get phase() {
+		return this.__phase;
+	}
+
+	/**
+	 * Get guide variables.
+	 * @readonly
+	 * @memberof Guide
+	 */
+	get vars() {
+		return this.__vars;
+	}
+
 	/**
 	 * Get guide context.
 	 * @readonly
@@ -312,6 +669,51 @@ class Guide extends EventEmitter {
 		return this.__hooks;
 	}
 
+	/**
+	 * Get guide options.
+	 * @readonly
+	 * @memberof Guide
+	 */
+	get options() {
+		return this.__options;
+	}
+
+	/**
+	 * Get instance of timers.
+	 * @readonly
+	 * @memberof Guide
+	 */
+	get timers() {
+		return this.__timers;
+	}
+
+	/**
+	 * Get instance of fight.
+	 * @readonly
+	 * @memberof Guide
+	 */
+	get fight() {
+		return this.__fight;
+	}
+
+	/**
+	 * Get instance of tracker.
+	 * @readonly
+	 * @memberof Guide
+	 */
+	get tracker() {
+		return this.__tracker;
+	}
+
+	/**
+	 * Get instance of abnormals.
+	 * @readonly
+	 * @memberof Guide
+	 */
+	get abnormals() {
+		return this.__abnormals;
+	}
+
 	/**
 	 * Get guide temporary data.
 	 * @readonly
@@ -16,7 +16,12 @@ const handlerFiles = [
 	"marker_remove",
 	"marker_remove_all",
 	"func",
-	"alias"
+	"alias",
+	"phase",
+	"var",
+	"timer",
+	"repeat",
+	"sequence"
 ];
 
 /**
@@ -106,33 +111,53 @@ class Handlers extends EventEmitter {
 		return this.delay(() => {
 			const positionCheck = this.__deps.functions.classPositionCheck(event.class_position);
 			const funcCheck = typeof event.check_func === "function" ? event.check_func(ent, event) : true;
+			const phaseCheck = !this.__deps.zone.loaded || this.__deps.zone.guide.checkPhase(event.phase);
+			const varsCheck = !this.__deps.zone.loaded || this.__deps.functions.conditionCheck(event.if, this.__deps.zone.guide.vars);
+			const npcCheck = !this.__deps.zone.loaded || this.__deps.zone.guide.tracker.check(event.npc_if, ent);
+			const aliveCheck = !this.__deps.zone.loaded || this.__deps.zone.guide.tracker.checkAlive(event.alive);
 
-			if (positionCheck && funcCheck)
+			if (positionCheck && funcCheck && phaseCheck && varsCheck && npcCheck && aliveCheck)
 				// Emit the handler function
 				return this.emit(event.type, event, ent, key);
 		},
-		event.delay);
+		event.delay, event.tag);
 	}
 
 	/**
 	 * Create timer for specified delay.
+	 * The timer is owned by loaded guide, so it's cleared on unload of the guide.
 	 * @param {TimerHandler} handler Handler function.
 	 * @param {number} delay Timer delay in milliseconds.
-	 * @param {*[]} args Handler function arguments.
+	 * @param {string} [tag=undefined] Timer tag.
 	 * @return {(Object|boolean)} Timer object of false.
 	 * @memberof Handlers
 	 */
-	delay(handler, delay, ...args) {
+	delay(handler, delay, tag = undefined) {
 		const delayNumber = parseInt(delay);
 
-		if (!isNaN(delayNumber) && delayNumber > 0)
-			return this.__deps.mod.setTimeout(handler, delayNumber, ...args);
-		else
-			handler(...args);
+		if (!isNaN(delayNumber) && delayNumber > 0) {
+			if (this.__deps.zone.loaded)
+				return this.__deps.zone.guide.timers.set(handler, delayNumber, undefined, tag);
+
+			return this.__deps.mod.setTimeout(handler, delayNumber);
+		} else
+			handler();
 
 		return false;
 	}
 
+	/**
+	 * Clear timer created for delay.
+	 * @param {(Object|boolean)} timer Timer object.
+	 * @memberof Handlers
+	 */
+	clearDelay(timer) {
+		if (timer === false) return;
+
+		if (!this.__deps.zone.loaded || !this.__deps.zone.guide.timers.clear(timer))
+			this.__deps.mod.clearTimeout(timer);
+	}
+
 	/**
 	 * Clear out temporary data maps.
 	 * @memberof Handlers
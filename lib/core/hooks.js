@@ -8,11 +8,12 @@ const HOOK_SETTINGS = Object.freeze({
 	"FIRST": { "order": -10000, "filter": { "fake": false } }
 });
 
-// Configuration of hooks
+// Configuration of hooks (hooks with "tracker" are always loaded to keep the state of tracked NPCs)
 const hooks = Object.freeze({
 	"S_ACTION_STAGE": {
 		"settings": HOOK_SETTINGS.LAST,
-		"keys": ["s"]
+		"keys": ["s"],
+		"tracker": true
 	},
 	"S_ACTION_END": {
 		"settings": HOOK_SETTINGS.LAST,
@@ -20,39 +21,72 @@ const hooks = Object.freeze({
 	},
 	"S_ABNORMALITY_BEGIN": {
 		"settings": HOOK_SETTINGS.LAST,
-		"keys": ["am", "ae", "ab", "ap", "af", "ar", "ad", "at"]
+		"keys": ["am", "ae", "ab", "ap", "af", "ar", "ad", "at", "ax", "ag"],
+		"tracker": true
 	},
 	"S_ABNORMALITY_REFRESH": {
 		"settings": HOOK_SETTINGS.LAST,
-		"keys": ["ae", "ab", "ar", "ad", "at"]
+		"keys": ["ae", "ab", "ar", "ad", "at", "ax"],
+		"tracker": true
 	},
 	"S_ABNORMALITY_END": {
 		"settings": HOOK_SETTINGS.FIRST,
-		"keys": ["ar", "ad", "at"]
+		"keys": ["ar", "ad", "at"],
+		"tracker": true
 	},
 	"S_BOSS_GAGE_INFO": {
 		"settings": HOOK_SETTINGS.LAST,
-		"keys": ["h"]
+		"keys": ["h", "hb", "hw", "tg", "pull", "reset"],
+		"tracker": true
+	},
+	"S_EACH_SKILL_RESULT": {
+		"settings": HOOK_SETTINGS.LAST,
+		"keys": ["sm", "sp"]
 	},
 	"S_SPAWN_NPC": {
 		"settings": HOOK_SETTINGS.LAST,
-		"keys": ["ns"]
+		"keys": ["ns", "nc"],
+		"tracker": true
+	},
+	"S_CREATURE_CHANGE_HP": {
+		"settings": HOOK_SETTINGS.LAST,
+		"keys": ["mh"]
+	},
+	"S_CREATURE_ROTATE": {
+		"settings": HOOK_SETTINGS.LAST,
+		"keys": ["rt"],
+		"tracker": true
 	},
 	"S_DESPAWN_NPC": {
 		"settings": HOOK_SETTINGS.FIRST,
-		"keys": ["nd"]
+		"keys": ["nd", "nc", "kill"],
+		"tracker": true
+	},
+	"S_CHAT": {
+		"settings": HOOK_SETTINGS.LAST,
+		"keys": ["ch"]
 	},
 	"S_DUNGEON_EVENT_MESSAGE": {
 		"settings": HOOK_SETTINGS.LAST,
-		"keys": ["dm"]
+		"keys": ["dm", "tx"]
+	},
+	"S_NPC_LOCATION": {
+		"settings": HOOK_SETTINGS.LAST,
+		"keys": ["mv"],
+		"tracker": true
 	},
 	"S_NPC_STATUS": {
 		"settings": HOOK_SETTINGS.LAST,
-		"keys": ["rb", "re"]
+		"keys": ["rb", "re", "rc"],
+		"tracker": true
 	},
 	"S_QUEST_BALLOON": {
 		"settings": HOOK_SETTINGS.LAST,
-		"keys": ["qb"]
+		"keys": ["qb", "tx"]
+	},
+	"S_SYSTEM_MESSAGE": {
+		"settings": HOOK_SETTINGS.LAST,
+		"keys": ["sy", "tx"]
 	}
 });
 
@@ -96,7 +130,7 @@ class Hooks {
 				const debug = this.__deps.mod.settings.debug.all || this.__deps.mod.settings.debug[key];
 
 				// Return if hook already added or not exists in list of keys and debug is false
-				if (this.__list.has(name) || (!keys.includes(key) && !debug)) return;
+				if (this.__list.has(name) || (!keys.includes(key) && !debug && !entry.tracker)) return;
 
 				try {
 					// Load hook from file
@@ -107,6 +141,10 @@ class Hooks {
 						"keys": entry.keys,
 						"debug": loaded.debug,
 						"hook": this.__deps.mod.hook(...this.__deps.proto.getData(name), entry.settings, event => {
+							// Write the packet to the record file if recording is started
+							if (this.__deps.recorder.active)
+								return this.__deps.recorder.write(name, event, () => loaded.callback(this.__deps, this.__guide, event));
+
 							loaded.callback(this.__deps, this.__guide, event);
 						})
 					});
@@ -120,12 +158,30 @@ class Hooks {
 	}
 
 	/**
-	 * Unhook all loaded hooks.
+	 * Load all available hooks.
 	 * @param {boolean} [debugMode=false] Force enable debug messages.
 	 * @memberof Hooks
 	 */
-	unload(debugMode = false) {
-		this.__list.forEach((attr, name) => {
+	loadAll(debugMode = false) {
+		const keys = [];
+
+		Object.keys(hooks).forEach(name => keys.push(...hooks[name].keys));
+
+		this.load(keys, debugMode);
+	}
+
+	/**
+	 * Unhook specified loaded hooks.
+	 * @param {string[]} names Names of the hooks.
+	 * @param {boolean} [debugMode=false] Force enable debug messages.
+	 * @memberof Hooks
+	 */
+	remove(names, debugMode = false) {
+		names.forEach(name => {
+			const attr = this.__list.get(name);
+
+			if (!attr) return;
+
 			// Delete hook
 			this.__deps.mod.unhook(attr.hook);
 			this.__deps.handlers.send.debug(debugMode, `Remove hook: ${attr.debug.name}`);
@@ -134,6 +190,15 @@ class Hooks {
 		});
 	}
 
+	/**
+	 * Unhook all loaded hooks.
+	 * @param {boolean} [debugMode=false] Force enable debug messages.
+	 * @memberof Hooks
+	 */
+	unload(debugMode = false) {
+		this.remove([...this.__list.keys()], debugMode);
+	}
+
 	/**
 	 * Get hooks map.
 	 * @readonly
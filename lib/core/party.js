@@ -0,0 +1,213 @@
+"use strict";
+
+/**
+ * State of the party member.
+ * @typedef {Object} state
+ * @property {boolean} alive Alive status of the member.
+ * @property {(number|null)} hp Current HP percent of the member.
+ */
+
+/**
+ * @typedef {import("../../index").deps} deps
+ */
+
+class Party {
+	/**
+	 * Creates an instance of Party.
+	 * The party members are taken from the library, only their state is stored here.
+	 * @param {deps} deps
+	 * @memberof Party
+	 */
+	constructor(deps) {
+		this.__deps = deps;
+
+		/** @type {Map<string, state>} State of party members by gameId */
+		this.__states = new Map();
+
+		// List of added hooks
+		this.__hooks = [];
+
+		// Hooks status of party member
+		this.__hook("S_PARTY_MEMBER_STAT_UPDATE", event => {
+			const member = this.find(event.serverId, event.playerId);
+
+			if (!member) return;
+
+			const state = this.getState(member.gameId);
+
+			this.updateHp(member.gameId, event.curHp, event.maxHp);
+
+			if (state.alive === event.alive) return;
+
+			state.alive = event.alive;
+
+			if (!this.__deps.zone.loaded) return;
+
+			// Check the party is wiped or alive again
+			if (state.alive)
+				return this.__deps.zone.guide.fight.revive();
+
+			const { player } = this.__deps.mod.require.library;
+
+			// Call events of party member death (own death is the "die" event)
+			if (!player.isMe(member.gameId)) {
+				const ent = { "huntingZoneId": 0, "templateId": 0, "target": this.getInfo(member.gameId) };
+
+				this.__deps.zone.guide.handleEvent(["pd"], ent, { "name": "Party Death", "color": cv });
+				this.__deps.zone.guide.handleEvent(["pd", ent.target.job], ent, { "name": "Party Death", "color": cv });
+			}
+
+			this.__deps.zone.guide.fight.checkWipe();
+		});
+
+		// Hooks HP of party member
+		this.__hook("S_PARTY_MEMBER_CHANGE_HP", event => {
+			const member = this.find(event.serverId, event.playerId);
+
+			if (member)
+				this.updateHp(member.gameId, event.curHp, event.maxHp);
+		});
+	}
+
+	/**
+	 * Update HP of the party member and check the HP thresholds.
+	 * Own HP is checked by the hook of the guide.
+	 * @param {(string|bigint)} gameId Game identifier of the member.
+	 * @param {(number|bigint)} curHp Current HP.
+	 * @param {(number|bigint)} maxHp Max HP.
+	 * @memberof Party
+	 */
+	updateHp(gameId, curHp, maxHp) {
+		if (curHp === undefined || !maxHp) return;
+
+		const state = this.getState(gameId);
+		const hp = Math.floor(Number(curHp) / Number(maxHp) * 100);
+
+		if (state.hp === hp) return;
+
+		state.hp = hp;
+
+		if (this.__deps.zone.loaded && !this.__deps.mod.require.library.player.isMe(gameId))
+			this.__deps.zone.guide.fight.checkPlayerHp(gameId, hp);
+	}
+
+	/**
+	 * Find the party member by server and player identifiers.
+	 * @param {number} serverId Server identifier.
+	 * @param {number} playerId Player identifier.
+	 * @return {(Object|undefined)} Party member of the library.
+	 * @memberof Party
+	 */
+	find(serverId, playerId) {
+		for (const member of this.members)
+			if (member.serverId === serverId && member.playerId === playerId) return member;
+
+		return undefined;
+	}
+
+	/**
+	 * Get the party member by game identifier.
+	 * @param {(string|bigint)} gameId Game identifier.
+	 * @return {(Object|undefined)} Party member of the library.
+	 * @memberof Party
+	 */
+	get(gameId) {
+		if (gameId === undefined || gameId === null) return undefined;
+
+		const { playersInParty } = this.__deps.mod.require.library.player;
+		const member = playersInParty.get(gameId) || playersInParty.get(gameId.toString());
+
+		if (member) return member;
+
+		// The keys of the list may have other type than specified identifier
+		for (const [key, value] of playersInParty)
+			if (key.toString() === gameId.toString()) return value;
+
+		return undefined;
+	}
+
+	/**
+	 * Get state of the party member, it's created if not exists.
+	 * @param {(string|bigint)} gameId Game identifier.
+	 * @return {state} State of the member.
+	 * @memberof Party
+	 */
+	getState(gameId) {
+		const id = gameId.toString();
+
+		if (!this.__states.has(id))
+			this.__states.set(id, { "alive": true, "hp": null });
+
+		return this.__states.get(id);
+	}
+
+	/**
+	 * Get info of the player or the party member, used in payload of events.
+	 * @param {(string|bigint)} gameId Game identifier.
+	 * @return {Object} Object of gameId, name and job (name and job are undefined for unknown player).
+	 * @memberof Party
+	 */
+	getInfo(gameId) {
+		const { player } = this.__deps.mod.require.library;
+
+		if (player.isMe(gameId))
+			return { "gameId": player.gameId, "name": player.name, "job": player.job };
+
+		const member = this.get(gameId);
+
+		if (!member)
+			return { "gameId": gameId, "name": undefined, "job": undefined };
+
+		return { "gameId": gameId, "name": member.name, "job": member.class !== undefined ? member.class : member.job };
+	}
+
+	/**
+	 * Check all members of the party (including the player) are dead.
+	 * Offline members are ignored, the party is not wiped if the list of party members is unknown.
+	 * @return {boolean} True if all members are dead.
+	 * @memberof Party
+	 */
+	isWiped() {
+		const { player } = this.__deps.mod.require.library;
+		const members = this.members.filter(member => !player.isMe(member.gameId));
+
+		if (this.__deps.mod.game.me.alive || members.length === 0) return false;
+
+		return members.every(member => {
+			const state = this.__states.get(member.gameId.toString());
+			const alive = state ? state.alive : member.alive !== false;
+
+			return member.online === false || !alive;
+		});
+	}
+
+	/**
+	 * Get list of party members of the library.
+	 * @readonly
+	 * @memberof Party
+	 */
+	get members() {
+		return [...this.__deps.mod.require.library.player.playersInParty.values()];
+	}
+
+	__hook(name, callback) {
+		try {
+			this.__hooks.push(this.__deps.mod.hook(...this.__deps.proto.getData(name), event => {
+				// Write the packet to the record file if recording is started
+				if (this.__deps.recorder.active)
+					return this.__deps.recorder.write(name, event, () => callback(event));
+
+				callback(event);
+			}));
+		} catch (e) {
+			this.__deps.mod.error(e);
+		}
+	}
+
+	destructor() {
+		this.__hooks.forEach(hook => this.__deps.mod.unhook(hook));
+		this.__hooks = [];
+	}
+}
+
+module.exports = Party;
\ No newline at end of file
@@ -0,0 +1,210 @@
+"use strict";
+
+const path = require("path");
+const fs = require("fs");
+
+/**
+ * @typedef {import("../../index").deps} deps
+ */
+
+class Recorder {
+	/**
+	 * Creates an instance of Recorder.
+	 * @param {deps} deps
+	 * @memberof Recorder
+	 */
+	constructor(deps) {
+		this.__deps = deps;
+
+		// Stream of the record file
+		this.__stream = null;
+
+		// Path of the record file
+		this.__file = null;
+
+		// Start time of recording
+		this.__started = 0;
+
+		// Line of currently handled packet
+		this.__current = null;
+
+		// Hooks of the guide and names of the hooks loaded for recording only
+		this.__hooks = null;
+		this.__hookNames = [];
+
+		// Listeners of the game events
+		this.__gameEvents = {
+			"die": () => this.__writeLine({ "time": this.time, "name": "me.die", "keys": ["die"] }),
+			"resurrect": () => this.__writeLine({ "time": this.time, "name": "me.resurrect", "keys": ["resurrect"] })
+		};
+	}
+
+	/**
+	 * Start recording of packets for loaded guide.
+	 * @return {string} Path of the record file.
+	 * @memberof Recorder
+	 */
+	start() {
+		if (!this.__deps.zone.loaded)
+			throw new Error("Guide is not loaded.");
+
+		if (this.active)
+			this.stop();
+
+		const { player } = this.__deps.mod.require.library;
+		const directory = path.resolve(this.__deps.mod.info.path, "records");
+
+		if (!fs.existsSync(directory))
+			fs.mkdirSync(directory, { "recursive": true });
+
+		// State of the player and the party members
+		const header = Recorder.serialize({
+			"time": 0,
+			"zone": this.__deps.zone.guide.id,
+			"player": { "gameId": player.gameId, "name": player.name, "job": player.job },
+			"party": [...player.playersInParty.values()].map(member => ({
+				"gameId": member.gameId,
+				"serverId": member.serverId,
+				"playerId": member.playerId,
+				"name": member.name,
+				"class": member.class,
+				"online": member.online
+			}))
+		});
+
+		const file = path.resolve(directory, `${this.__deps.zone.guide.id}_${new Date().toISOString().replace(/[:.]/g, "-")}.jsonl`);
+		const stream = fs.createWriteStream(file, { "flags": "a" });
+
+		stream.on("error", e => this.__deps.mod.error(e));
+
+		// Load all available hooks to record all packets
+		const { hooks } = this.__deps.zone.guide;
+		const loaded = [...hooks.list.keys()];
+
+		hooks.loadAll();
+
+		this.__hooks = hooks;
+		this.__hookNames = [...hooks.list.keys()].filter(name => !loaded.includes(name));
+
+		// Start recording when all state is ready
+		this.__file = file;
+		this.__stream = stream;
+		this.__started = this.__deps.clock.now();
+		this.__writeLine(header);
+
+		Object.keys(this.__gameEvents).forEach(name =>
+			this.__deps.mod.game.me.on(name, this.__gameEvents[name])
+		);
+
+		return this.__file;
+	}
+
+	/**
+	 * Stop recording.
+	 * @return {(string|null)} Path of the record file.
+	 * @memberof Recorder
+	 */
+	stop() {
+		if (!this.active) return null;
+
+		const file = this.__file;
+
+		Object.keys(this.__gameEvents).forEach(name =>
+			this.__deps.mod.game.me.off(name, this.__gameEvents[name])
+		);
+
+		// Unhook the hooks loaded for recording only
+		if (this.__hooks !== null)
+			this.__hooks.remove(this.__hookNames);
+
+		this.__hooks = null;
+		this.__hookNames = [];
+
+		this.__stream.end();
+		this.__stream = null;
+		this.__file = null;
+		this.__current = null;
+
+		return file;
+	}
+
+	/**
+	 * Write the packet and the keys of events emitted by it.
+	 * @param {string} name Packet name.
+	 * @param {Object} event Packet data.
+	 * @param {Function} callback Callback function of the hook.
+	 * @memberof Recorder
+	 */
+	write(name, event, callback) {
+		// Serialize the packet before it's modified by the callback
+		const line = { "time": this.time, "name": name, "keys": [], "event": Recorder.serialize(event) };
+
+		this.__current = line;
+
+		try {
+			callback();
+		} finally {
+			this.__current = null;
+			this.__writeLine(line);
+		}
+	}
+
+	/**
+	 * Add key of emitted event to currently handled packet.
+	 * @param {string} key Event key.
+	 * @memberof Recorder
+	 */
+	addKey(key) {
+		if (this.__current !== null)
+			this.__current.keys.push(key);
+	}
+
+	/**
+	 * Convert packet data to the object which can be written as JSON.
+	 * @param {Object} event Packet data.
+	 * @return {Object} Converted packet data.
+	 * @static
+	 * @memberof Recorder
+	 */
+	static serialize(event) {
+		return JSON.parse(JSON.stringify(event, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+	}
+
+	/**
+	 * Get recording status.
+	 * @readonly
+	 * @memberof Recorder
+	 */
+	get active() {
+		return this.__stream !== null;
+	}
+
+	/**
+	 * Get path of the record file.
+	 * @readonly
+	 * @memberof Recorder
+	 */
+	get file() {
+		return this.__file;
+	}
+
+	/**
+	 * Get time from start of recording in milliseconds.
+	 * @readonly
+	 * @memberof Recorder
+	 */
+	get time() {
+		return this.__deps.clock.now() - this.__started;
+	}
+
+	__writeLine(line) {
+		if (this.active)
+			this.__stream.write(`${JSON.stringify(line)}\n`);
+	}
+
+	destructor() {
+		this.stop();
+	}
+}
+
+module.exports = Recorder;
\ No newline at end of file
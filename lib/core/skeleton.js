@@ -0,0 +1,160 @@
+"use strict";
+
+const path = require("path");
+const fs = require("fs");
+
+/**
+ * @typedef {import("../../index").deps} deps
+ */
+
+class Skeleton {
+	/**
+	 * Creates an instance of Skeleton.
+	 * @param {deps} deps
+	 * @memberof Skeleton
+	 */
+	constructor(deps) {
+		this.__deps = deps;
+
+		// List of collected keys by zone id
+		this.__zones = new Map();
+	}
+
+	/**
+	 * Add fired event key without a listener.
+	 * @param {string} zoneId Zone identifier.
+	 * @param {string} key Event key.
+	 * @param {number} [time=clock.now()] Time of the event in milliseconds.
+	 * @memberof Skeleton
+	 */
+	add(zoneId, key, time = this.__deps.clock.now()) {
+		if (!this.__zones.has(zoneId))
+			this.__zones.set(zoneId, { "started": time, "keys": new Map() });
+
+		const zone = this.__zones.get(zoneId);
+		const entry = zone.keys.get(key);
+
+		if (entry)
+			entry.count++;
+		else
+			zone.keys.set(key, { "count": 1, "time": time - zone.started });
+	}
+
+	/**
+	 * Add event keys from the record file.
+	 * @param {string} file Path to the record file.
+	 * @return {string} Zone identifier of the record.
+	 * @memberof Skeleton
+	 */
+	addRecord(file) {
+		let zoneId = undefined;
+
+		fs.readFileSync(file, "utf8").split(/\r?\n/).forEach(line => {
+			if (line.trim().length === 0) return;
+
+			const record = JSON.parse(line);
+
+			if (record.zone !== undefined)
+				zoneId = record.zone.toString();
+
+			if (zoneId === undefined || !Array.isArray(record.keys)) return;
+
+			record.keys.forEach(key => this.add(zoneId, key, record.time));
+		});
+
+		if (zoneId === undefined)
+			throw new Error("Record file has no zone identifier.");
+
+		return zoneId;
+	}
+
+	/**
+	 * Write the guide skeleton file.
+	 * @param {string} zoneId Zone identifier.
+	 * @return {string} Path of the written file.
+	 * @memberof Skeleton
+	 */
+	write(zoneId) {
+		const { zone, mod } = this.__deps;
+		const keys = this.keys(zoneId);
+
+		if (keys.length === 0)
+			throw new Error(`No collected events for zone "${zoneId}".`);
+
+		// Don't overwrite the existing guide file
+		let file = zone.getGuidePath(false, `${zoneId}.js`);
+
+		if (fs.existsSync(file))
+			file += ".new";
+
+		const name = (mod.settings.dungeons[zoneId] && mod.settings.dungeons[zoneId].name) || zoneId;
+		const lines = [
+			`// ${name}`,
+			"//",
+			"// Generated from the observed events, add handlers to the required entries and remove the rest.",
+			"",
+			"module.exports = (dispatch, handlers, guide, lang) => {",
+			"",
+			"\treturn {"
+		];
+
+		keys.forEach(([key, entry]) => lines.push(
+			`\t\t// ${entry.count} time(s), first seen at ${Skeleton.formatTime(entry.time)}`,
+			`\t\t"${key}": [],`
+		));
+
+		lines.push("\t};", "};");
+
+		if (!fs.existsSync(path.dirname(file)))
+			fs.mkdirSync(path.dirname(file), { "recursive": true });
+
+		fs.writeFileSync(file, lines.join("\n"));
+
+		return file;
+	}
+
+	/**
+	 * Get collected keys of the zone, which are not defined in loaded guide.
+	 * @param {string} zoneId Zone identifier.
+	 * @return {Array[]} Array of key and entry pairs sorted by the first seen time.
+	 * @memberof Skeleton
+	 */
+	keys(zoneId) {
+		const { zone } = this.__deps;
+
+		if (!this.__zones.has(zoneId)) return [];
+
+		return [...this.__zones.get(zoneId).keys.entries()]
+			.filter(([key]) => !zone.loaded || zone.guide.id !== zoneId ||
+				(zone.guide.listenerCount(key) === 0 && zone.guide.matchPatterns(key.split("-")).length === 0))
+			.sort((a, b) => a[1].time - b[1].time);
+	}
+
+	/**
+	 * Clear collected keys.
+	 * @param {string} [zoneId=undefined] Zone identifier, clear all if not specified.
+	 * @memberof Skeleton
+	 */
+	clear(zoneId = undefined) {
+		if (zoneId === undefined)
+			this.__zones.clear();
+		else
+			this.__zones.delete(zoneId);
+	}
+
+	/**
+	 * Format time offset as "mm:ss.SSS".
+	 * @param {number} time Time offset in milliseconds.
+	 * @return {string} Formatted time string.
+	 * @static
+	 * @memberof Skeleton
+	 */
+	static formatTime(time) {
+		const minutes = Math.floor(time / 60000).toString().padStart(2, "0");
+		const seconds = Math.floor((time % 60000) / 1000).toString().padStart(2, "0");
+
+		return `${minutes}:${seconds}.${(time % 1000).toString().padStart(3, "0")}`;
+	}
+}
+
+module.exports = Skeleton;
\ No newline at end of file
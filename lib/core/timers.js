@@ -0,0 +1,164 @@
+"use strict";
+
+/**
+ * Timer entry.
+ * @typedef {Object} timer
+ * @property {Object} timer Timer object of the module.
+ * @property {(string|undefined)} tag Tag of the timer.
+ * @property {number} time Expiration time.
+ */
+
+/**
+ * @typedef {import("../../index").deps} deps
+ */
+
+class Timers {
+	/**
+	 * Creates an instance of Timers.
+	 * @param {deps} deps
+	 * @memberof Timers
+	 */
+	constructor(deps) {
+		this.__deps = deps;
+
+		// List of active timers by name (or entry object for unnamed timers)
+		this.__list = new Map();
+
+		// List of handlers called on clear of the tagged timers by tag
+		this.__cleanups = new Map();
+	}
+
+	/**
+	 * Set timer.
+	 * @param {Function} handler Handler function.
+	 * @param {number} delay Timer delay in milliseconds.
+	 * @param {string} [name=undefined] Timer name, a timer with the same name will be restarted.
+	 * @param {string} [tag=undefined] Timer tag.
+	 * @return {(string|timer)} Timer name or entry object for unnamed timer.
+	 * @memberof Timers
+	 */
+	set(handler, delay, name = undefined, tag = undefined) {
+		const delayNumber = Math.max(parseInt(delay) || 0, 0);
+		const entry = { "timer": null, "tag": tag, "time": this.__deps.clock.now() + delayNumber };
+		const key = name !== undefined ? name.toString() : entry;
+
+		// Restart the timer with the same name
+		this.clear(key);
+
+		entry.timer = this.__deps.mod.setTimeout(() => {
+			this.__list.delete(key);
+			handler();
+		}, delayNumber);
+
+		this.__list.set(key, entry);
+
+		return key;
+	}
+
+	/**
+	 * Clear timer.
+	 * @param {(string|timer)} key Timer name or entry object.
+	 * @return {boolean} True if timer was active.
+	 * @memberof Timers
+	 */
+	clear(key) {
+		const entry = this.__list.get(key);
+
+		if (!entry) return false;
+
+		this.__deps.mod.clearTimeout(entry.timer);
+		this.__list.delete(key);
+
+		return true;
+	}
+
+	/**
+	 * Clear timers with specified tag.
+	 * @param {string} tag Timer tag.
+	 * @memberof Timers
+	 */
+	clearTag(tag) {
+		this.__list.forEach((entry, key) => {
+			if (entry.tag !== undefined && entry.tag == tag)
+				this.clear(key);
+		});
+
+		this.__cleanups.forEach((handlers, key) => {
+			if (key == tag)
+				[...handlers].forEach(handler => handler());
+		});
+	}
+
+	/**
+	 * Clear all timers.
+	 * @memberof Timers
+	 */
+	clearAll() {
+		this.__list.forEach((entry, key) => this.clear(key));
+		this.__cleanups.forEach(handlers => [...handlers].forEach(handler => handler()));
+		this.__cleanups.clear();
+	}
+
+	/**
+	 * Add handler called when the timers with specified tag are cleared.
+	 * @param {string} tag Timer tag.
+	 * @param {Function} handler Handler function.
+	 * @memberof Timers
+	 */
+	onClear(tag, handler) {
+		if (!this.__cleanups.has(tag))
+			this.__cleanups.set(tag, new Set());
+
+		this.__cleanups.get(tag).add(handler);
+	}
+
+	/**
+	 * Remove handler added by onClear().
+	 * @param {string} tag Timer tag.
+	 * @param {Function} handler Handler function.
+	 * @memberof Timers
+	 */
+	offClear(tag, handler) {
+		const handlers = this.__cleanups.get(tag);
+
+		if (!handlers) return;
+
+		handlers.delete(handler);
+
+		if (handlers.size === 0)
+			this.__cleanups.delete(tag);
+	}
+
+	/**
+	 * Check the timer is active.
+	 * @param {string} name Timer name.
+	 * @return {boolean} True if timer is active.
+	 * @memberof Timers
+	 */
+	has(name) {
+		return this.__list.has(name.toString());
+	}
+
+	/**
+	 * Get remaining time of the timer.
+	 * @param {string} name Timer name.
+	 * @return {number} Remaining time in milliseconds or 0 if timer is not active.
+	 * @memberof Timers
+	 */
+	remaining(name) {
+		const entry = this.__list.get(name.toString());
+
+		return entry ? Math.max(entry.time - this.__deps.clock.now(), 0) : 0;
+	}
+
+	/**
+	 * Get names of active named timers.
+	 * @readonly
+	 * @memberof Timers
+	 */
+	get names() {
+		return [...this.__list.keys()].filter(key => typeof key === "string");
+	}
+}
+
+module.exports = Timers;
\ No newline at end of file
@@ -0,0 +1,448 @@
+"use strict";
+
+// Minimal interval between HP samples used for the HP rate in milliseconds
+const HP_SAMPLE_INTERVAL = 1000;
+
+// Smoothing factor of the HP rate (exponential moving average)
+const HP_RATE_SMOOTHING = 0.3;
+
+// Number of HP samples required before the HP rate is available
+const HP_RATE_SAMPLES = 3;
+
+/**
+ * Tracked NPC.
+ * @typedef {Object} npc
+ * @property {string} gameId Game identifier of the NPC.
+ * @property {number} huntingZoneId Hunting zone identifier of the NPC.
+ * @property {number} templateId Template identifier of the NPC.
+ * @property {(number|null)} spawned Time of the spawn (null if spawn was not seen).
+ * @property {(number|null)} hp Current HP percent.
+ * @property {(number|null)} hpRate Smoothed HP loss rate in percent per second (null if not enough samples).
+ * @property {(Object|null)} hpSample Last HP sample used for the HP rate.
+ * @property {boolean} rage Rage status.
+ * @property {number} rageCount Number of rages in the current pull.
+ * @property {(number|null)} rageStarted Time of the rage begin.
+ * @property {(number|null)} rageEnds Expected time of the rage end.
+ * @property {(number|null)} rageDuration Duration of the last ended rage in milliseconds.
+ * @property {(string|null)} target Game identifier of the current target (aggro) of the boss.
+ * @property {(number|null)} skill Last skill identifier (in the range of the zone type).
+ * @property {(number|null)} stage Stage of the last skill.
+ * @property {(Object|null)} loc Last known position.
+ * @property {Map<number, Object>} abnormals Active abnormalities by identifier.
+ */
+
+/**
+ * @typedef {import("../../index").deps} deps
+ */
+
+class Tracker {
+	/**
+	 * Creates an instance of Tracker.
+	 * @param {deps} deps
+	 * @memberof Tracker
+	 */
+	constructor(deps) {
+		this.__deps = deps;
+
+		/** @type {Map<string, npc>} List of tracked NPCs by gameId */
+		this.__list = new Map();
+
+		/** @type {Map<string, Set<string>>} List of gameIds of alive NPCs by "huntingZoneId-templateId" */
+		this.__alive = new Map();
+
+		/** @type {Map<string, (string|null)>} List of NPC names queried from client by "huntingZoneId-templateId" */
+		this.__names = new Map();
+	}
+
+	/**
+	 * Get the tracked NPC, it's added if the entity of NPC is exists.
+	 * @param {(string|bigint)} gameId Game identifier.
+	 * @return {(npc|undefined)} Tracked NPC.
+	 * @memberof Tracker
+	 */
+	get(gameId) {
+		if (gameId === undefined || gameId === null) return undefined;
+
+		const id = gameId.toString();
+
+		if (!this.__list.has(id)) {
+			const ent = this.__deps.mod.require.library.entity.mobs[id];
+
+			if (!ent) return undefined;
+
+			this.__list.set(id, {
+				"gameId": id,
+				"huntingZoneId": ent.huntingZoneId,
+				"templateId": ent.templateId,
+				"spawned": null,
+				"hp": null,
+				"hpRate": null,
+				"hpSample": null,
+				"rage": false,
+				"rageCount": 0,
+				"rageStarted": null,
+				"rageEnds": null,
+				"rageDuration": null,
+				"target": null,
+				"skill": null,
+				"stage": null,
+				"loc": ent.loc || null,
+				"abnormals": new Map()
+			});
+		}
+
+		return this.__list.get(id);
+	}
+
+	/**
+	 * Update the values of tracked NPC.
+	 * @param {(string|bigint)} gameId Game identifier.
+	 * @param {Object} values Values to update.
+	 * @return {(npc|undefined)} Tracked NPC.
+	 * @memberof Tracker
+	 */
+	update(gameId, values) {
+		const entry = this.get(gameId);
+
+		if (entry)
+			Object.assign(entry, values);
+
+		return entry;
+	}
+
+	/**
+	 * Add the HP sample to update the smoothed HP loss rate of tracked NPC.
+	 * @param {(string|bigint)} gameId Game identifier.
+	 * @param {number} hp Exact HP percent.
+	 * @memberof Tracker
+	 */
+	sampleHp(gameId, hp) {
+		const entry = this.get(gameId);
+
+		if (!entry) return;
+
+		const time = this.__deps.clock.now();
+		const sample = entry.hpSample;
+
+		if (sample === null) {
+			entry.hpSample = { time, hp, "count": 0, "rate": 0 };
+			return;
+		}
+
+		if (time - sample.time < HP_SAMPLE_INTERVAL) return;
+
+		// Calculate the rate of interval and smooth it
+		const rate = (sample.hp - hp) / (time - sample.time) * 1000;
+
+		sample.rate = sample.count === 0 ? rate : HP_RATE_SMOOTHING * rate + (1 - HP_RATE_SMOOTHING) * sample.rate;
+		sample.count++;
+		sample.time = time;
+		sample.hp = hp;
+
+		entry.hpRate = sample.count >= HP_RATE_SAMPLES ? sample.rate : null;
+	}
+
+	/**
+	 * Predict the time until tracked NPC reaches the HP percent.
+	 * @param {(string|bigint)} gameId Game identifier.
+	 * @param {number} hp HP percent.
+	 * @return {(number|null)} Time in seconds or null if it can't be predicted.
+	 * @memberof Tracker
+	 */
+	predictHp(gameId, hp) {
+		const entry = this.get(gameId);
+
+		if (!entry || entry.hpRate === null || entry.hpRate <= 0 || entry.hpSample.hp <= hp) return null;
+
+		return (entry.hpSample.hp - hp) / entry.hpRate;
+	}
+
+	/**
+	 * Get remaining time of the rage of tracked NPC.
+	 * @param {(string|bigint)} gameId Game identifier.
+	 * @return {number} Remaining time in seconds or 0 if NPC is not enraged.
+	 * @memberof Tracker
+	 */
+	rageRemaining(gameId) {
+		const entry = this.get(gameId);
+
+		if (!entry || !entry.rage || entry.rageEnds === null) return 0;
+
+		return Math.max(entry.rageEnds - this.__deps.clock.now(), 0) / 1000;
+	}
+
+	/**
+	 * Reset the values of all tracked NPCs which are counted per pull (HP rate and number of rages).
+	 * @memberof Tracker
+	 */
+	resetFight() {
+		this.__list.forEach(entry => {
+			entry.hpRate = null;
+			entry.hpSample = null;
+			entry.rageCount = 0;
+		});
+	}
+
+	/**
+	 * Add or refresh the abnormality of tracked NPC.
+	 * @param {Object} event Packet data of S_ABNORMALITY_BEGIN or S_ABNORMALITY_REFRESH.
+	 * @memberof Tracker
+	 */
+	addAbnormal(event) {
+		const entry = this.get(event.target);
+
+		if (entry)
+			entry.abnormals.set(event.id, { "id": event.id, "stacks": event.stacks, "source": event.source, "duration": Number(event.duration) || 0, "added": this.__deps.clock.now() });
+	}
+
+	/**
+	 * Get remaining time of the abnormality of tracked NPC.
+	 * @param {(string|bigint)} gameId Game identifier.
+	 * @param {number} id Abnormality identifier.
+	 * @return {(number|null)} Remaining time in seconds, 0 if abnormality is not active or null if it's unlimited.
+	 * @memberof Tracker
+	 */
+	abnormalRemaining(gameId, id) {
+		const entry = this.__list.get(gameId.toString());
+		const abnormal = entry ? entry.abnormals.get(parseInt(id)) : undefined;
+
+		if (!abnormal) return 0;
+
+		if (abnormal.duration === 0) return null;
+
+		return Math.max(abnormal.duration - (this.__deps.clock.now() - abnormal.added), 0) / 1000;
+	}
+
+	/**
+	 * Remove the abnormality of tracked NPC.
+	 * @param {Object} event Packet data of S_ABNORMALITY_END.
+	 * @memberof Tracker
+	 */
+	removeAbnormal(event) {
+		const entry = this.__list.get(event.target.toString());
+
+		if (entry)
+			entry.abnormals.delete(event.id);
+	}
+
+	/**
+	 * Remove the tracked NPC.
+	 * @param {(string|bigint)} gameId Game identifier.
+	 * @memberof Tracker
+	 */
+	remove(gameId) {
+		this.__list.delete(gameId.toString());
+	}
+
+	/**
+	 * Remove all tracked NPCs.
+	 * @memberof Tracker
+	 */
+	clear() {
+		this.__list.clear();
+		this.__alive.clear();
+	}
+
+	/**
+	 * Count the spawned NPC as alive.
+	 * @param {Object} ent Entity object of the NPC.
+	 * @return {(number|null)} Number of alive NPCs of the template or null if it's not changed.
+	 * @memberof Tracker
+	 */
+	addAlive(ent) {
+		const template = `${ent.huntingZoneId}-${ent.templateId}`;
+
+		if (!this.__alive.has(template))
+			this.__alive.set(template, new Set());
+
+		const alive = this.__alive.get(template);
+
+		if (alive.has(ent.gameId.toString())) return null;
+
+		alive.add(ent.gameId.toString());
+
+		return alive.size;
+	}
+
+	/**
+	 * Remove the despawned NPC from alive.
+	 * @param {Object} ent Entity object of the NPC.
+	 * @return {(number|null)} Number of alive NPCs of the template or null if it's not changed.
+	 * @memberof Tracker
+	 */
+	removeAlive(ent) {
+		const alive = this.__alive.get(`${ent.huntingZoneId}-${ent.templateId}`);
+
+		if (!alive || !alive.delete(ent.gameId.toString())) return null;
+
+		return alive.size;
+	}
+
+	/**
+	 * Get number of alive NPCs.
+	 * @param {(number|string)} template Template identifier or string like "3126-1000".
+	 * @return {number} Number of alive NPCs.
+	 * @memberof Tracker
+	 */
+	alive(template) {
+		if (template.toString().includes("-"))
+			return this.__alive.has(template.toString()) ? this.__alive.get(template.toString()).size : 0;
+
+		let count = 0;
+
+		this.__alive.forEach((alive, key) => {
+			if (key.split("-")[1] === template.toString())
+				count += alive.size;
+		});
+
+		return count;
+	}
+
+	/**
+	 * Check the condition of number of alive NPCs.
+	 * @param {(Object|Object[])} condition Object of templates (like "3126-1000") and expected numbers (like conditions of variables) or array of objects.
+	 * @return {boolean} True if the condition is matched.
+	 * @memberof Tracker
+	 */
+	checkAlive(condition) {
+		// if it's not defined we assume that it's always passed
+		if (condition === undefined || condition === null) return true;
+
+		const values = new Map();
+
+		[].concat(condition).forEach(entry =>
+			Object.keys(entry).forEach(template => values.set(template, this.alive(template)))
+		);
+
+		return this.__deps.functions.conditionCheck(condition, values);
+	}
+
+	/**
+	 * Query name of NPC from client, the name is queried once for each template.
+	 * @param {Object} ent Entity of NPC.
+	 * @memberof Tracker
+	 */
+	async queryName(ent) {
+		const key = `${ent.huntingZoneId}-${ent.templateId}`;
+
+		if (this.__names.has(key)) return;
+
+		this.__names.set(key, null);
+
+		try {
+			const res = await this.__deps.mod.queryData("/StrSheet_Creature/HuntingZone@id=?/String@templateId=?", [ent.huntingZoneId, ent.templateId]);
+
+			if (res && res.attributes.name)
+				this.__names.set(key, res.attributes.name.toString());
+		} catch (e) {
+			// Client data is not available
+		}
+	}
+
+	/**
+	 * Query names of all NPCs of the hunting zones from client.
+	 * Used on load of the guide, so the names are available before NPCs are spawned.
+	 * @param {number[]} huntingZoneIds List of hunting zone identifiers.
+	 * @memberof Tracker
+	 */
+	async queryNames(huntingZoneIds) {
+		try {
+			for (const huntingZoneId of huntingZoneIds) {
+				(await this.__deps.mod.queryData("/StrSheet_Creature/HuntingZone@id=?/String/", [huntingZoneId], true, false, ["templateId", "name"]))
+					.forEach(res => {
+						const key = `${huntingZoneId}-${res.attributes.templateId}`;
+
+						if (!this.__names.get(key) && res.attributes.name)
+							this.__names.set(key, res.attributes.name.toString());
+					});
+			}
+		} catch (e) {
+			// Client data is not available
+		}
+	}
+
+	/**
+	 * Get name of NPC queried from client.
+	 * @param {Object} ent Entity of NPC.
+	 * @return {(string|undefined)} NPC name.
+	 * @memberof Tracker
+	 */
+	name(ent) {
+		return this.__names.get(`${ent.huntingZoneId}-${ent.templateId}`) || undefined;
+	}
+
+	/**
+	 * Find tracked NPCs by template.
+	 * @param {(number|string)} template Template identifier or string like "3126-1000".
+	 * @return {npc[]} List of found NPCs.
+	 * @memberof Tracker
+	 */
+	find(template) {
+		const [huntingZoneId, templateId] = template.toString().includes("-") ?
+			template.toString().split("-").map(id => parseInt(id)) : [undefined, parseInt(template)];
+
+		return [...this.__list.values()].filter(entry =>
+			entry.templateId === templateId && (huntingZoneId === undefined || entry.huntingZoneId === huntingZoneId)
+		);
+	}
+
+	/**
+	 * Check the NPC has the abnormality.
+	 * @param {(string|bigint|number)} npc Game identifier or template (see find()).
+	 * @param {(number|number[])} id Abnormality identifier or array of identifiers.
+	 * @return {boolean} True if the NPC has any of abnormalities.
+	 * @memberof Tracker
+	 */
+	hasAbnormal(npc, id) {
+		const entries = this.__list.has(npc.toString()) ? [this.__list.get(npc.toString())] : this.find(npc);
+
+		return entries.some(entry => [].concat(id).some(abnormalId => entry.abnormals.has(parseInt(abnormalId))));
+	}
+
+	/**
+	 * Check the condition of tracked NPC state.
+	 * @param {(Object|Object[])} condition Object of expected values (like conditions of variables) or array of objects.
+	 * Special properties: "template" to check other NPC, "abnormal" and "no_abnormal" with abnormality identifiers.
+	 * @param {Object} [ent=null] Entity object of the event, used if template is not specified.
+	 * @return {boolean} True if the condition is matched for any of NPCs.
+	 * @memberof Tracker
+	 */
+	check(condition, ent = null) {
+		// if it's not defined we assume that it's always passed
+		if (condition === undefined || condition === null) return true;
+
+		// If one of the conditions pass, we can accept it
+		if (Array.isArray(condition))
+			return condition.some(entry => this.check(entry, ent));
+
+		const { template, abnormal, no_abnormal, ...values } = condition;
+		let entries = [];
+
+		if (template !== undefined)
+			entries = this.find(template);
+		else if (ent && ent.gameId !== undefined && this.get(ent.gameId))
+			entries = [this.get(ent.gameId)];
+
+		return entries.some(entry => {
+			if (abnormal !== undefined && ![].concat(abnormal).some(id => entry.abnormals.has(parseInt(id))))
+				return false;
+
+			if (no_abnormal !== undefined && [].concat(no_abnormal).some(id => entry.abnormals.has(parseInt(id))))
+				return false;
+
+			// NPC without HP updates is assumed to have full HP
+			return this.__deps.functions.conditionCheck(values, new Map(Object.entries({ ...entry, "hp": entry.hp !== null ? entry.hp : 100 })));
+		});
+	}
+
+	/**
+	 * Get list of tracked NPCs.
+	 * @readonly
+	 * @memberof Tracker
+	 */
+	get list() {
+		return this.__list;
+	}
+}
+
+module.exports = Tracker;
\ No newline at end of file
@@ -36,6 +36,12 @@ module.exports = Object.freeze({
 		"100": 3,
 		"92": 3
 	},
+	"S_CREATURE_CHANGE_HP": {
+		"default": 6
+	},
+	"S_CREATURE_ROTATE": {
+		"default": 2
+	},
 	"S_DESPAWN_BONFIRE": {
 		"default": 2
 	},
@@ -51,18 +57,33 @@ module.exports = Object.freeze({
 	"S_DESPAWN_NPC": {
 		"default": 3
 	},
+	"S_EACH_SKILL_RESULT": {
+		"default": 14
+	},
 	"S_DUNGEON_EVENT_MESSAGE": {
 		"default": 2
 	},
+	"S_NPC_LOCATION": {
+		"default": 3
+	},
 	"S_NPC_STATUS": {
 		"default": 2
 	},
 	"S_PARTY_MARKER": {
 		"default": 1
 	},
+	"S_PARTY_MEMBER_CHANGE_HP": {
+		"default": 4
+	},
+	"S_PARTY_MEMBER_STAT_UPDATE": {
+		"default": 3
+	},
 	"S_QUEST_BALLOON": {
 		"default": 1
 	},
+	"S_SYSTEM_MESSAGE": {
+		"default": 1
+	},
 	"S_SPAWN_BONFIRE": {
 		"default": 2
 	},
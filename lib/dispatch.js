@@ -11,6 +11,7 @@ class Dispatch {
 	 * @memberof Dispatch
 	 */
 	constructor(deps) {
+		this.__deps = deps;
 		this._mod = deps.mod;
 		this._dispatch = deps.mod;
 
@@ -62,21 +63,27 @@ class Dispatch {
 	}
 
 	/**
-	 * Set timeout.
+	 * Set timeout (owned by loaded guide).
+	 * @param {Function} handler
+	 * @param {number} delay
 	 * @param {*} args
 	 * @memberof Dispatch
 	 */
-	setTimeout(...args) {
-		return this._mod.setTimeout(...args);
+	setTimeout(handler, delay, ...args) {
+		if (this.__deps.zone.loaded)
+			return this.__deps.zone.guide.timers.set(() => handler(...args), delay);
+
+		return this._mod.setTimeout(handler, delay, ...args);
 	}
 
 	/**
 	 * Clear timeout.
-	 * @param {*} args
+	 * @param {*} timer
 	 * @memberof Dispatch
 	 */
-	clearTimeout(...args) {
-		return this._mod.clearTimeout(...args);
+	clearTimeout(timer) {
+		if (!this.__deps.zone.loaded || !this.__deps.zone.guide.timers.clear(timer))
+			return this._mod.clearTimeout(timer);
 	}
 
 	/**
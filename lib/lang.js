@@ -6,6 +6,9 @@ const path = require("path");
 // Default language
 const defaultLanguage = "en";
 
+// Placeholders of the values of triggered event
+const PLACEHOLDERS = Object.freeze(["target", "source", "stacks", "hp", "count", "remaining", "boss"]);
+
 // Supported languages by client
 const languages = {
 	"0": "en",
@@ -181,13 +184,25 @@ class Lang {
 
 	/**
 	 * Get text message of event.
+	 * The placeholders are replaced by captured groups, like "{1}" or "{name}", the values of triggered event
+	 * ("{target}", "{source}", "{stacks}", "{hp}", "{count}", "{remaining}" and "{boss}") or guide variables, like "{var}".
+	 * Placeholders of the event values without a value are replaced by the default word or empty string, unknown placeholders are not replaced.
 	 * @param {Object} event Event object
+	 * @param {Object} [ent=null] Entity object of triggered event
 	 * @return {string} Text string
 	 * @memberof Lang
 	 */
-	getEventText(event) {
-		return event[`message_${this.languageUC}`] || event[`message_${this.language}`] || event["message"] ||
+	getEventText(event, ent = null) {
+		const text = event[`message_${this.languageUC}`] || event[`message_${this.language}`] || event["message"] ||
 			event[`text_${this.languageUC}`] || event[`text_${this.language}`] || event["text"];
+
+		if (!text || typeof text !== "string") return text;
+
+		return text.replace(/\{(\w+)\}/g, (match, name) => {
+			const value = this.__getPlaceholder(name, ent);
+
+			return value !== undefined && value !== null ? value : match;
+		});
 	}
 
 	/**
@@ -206,6 +221,69 @@ class Lang {
 		};
 	}
 
+	__getPlaceholder(name, ent) {
+		const { zone } = this.__deps;
+		const guide = zone.loaded ? zone.guide : null;
+		let value = undefined;
+
+		if (ent) {
+			// Tracked NPC of the event
+			const npc = guide && ent.gameId !== undefined ? guide.tracker.list.get(ent.gameId.toString()) : undefined;
+
+			// Captured groups of the text matching
+			if (ent.groups)
+				value = /^\d+$/.test(name) ? ent.groups[name] : ent.named[name];
+
+			if (value !== undefined) return value;
+
+			switch (name) {
+				case "target":
+					value = ent.target ? ent.target.name : undefined;
+					break;
+
+				case "source":
+					value = ent.source ? ent.source.name : undefined;
+					break;
+
+				case "stacks":
+					value = ent.stacks;
+					break;
+
+				case "hp":
+					value = npc && npc.hp !== null ? npc.hp : ent.hp;
+					break;
+
+				case "count":
+					value = guide && ent.templateId ? guide.tracker.alive(`${ent.huntingZoneId}-${ent.templateId}`) : undefined;
+					break;
+
+				case "remaining":
+					value = ent.remaining !== undefined || !npc || !npc.rage ? ent.remaining : Math.ceil(guide.tracker.rageRemaining(ent.gameId));
+					break;
+
+				case "boss":
+					value = guide && ent.templateId ? guide.tracker.name(ent) : undefined;
+					break;
+			}
+
+			if (value !== undefined && value !== null) return value;
+		}
+
+		// Guide variables
+		if (guide && guide.vars.has(name))
+			return guide.vars.get(name);
+
+		// Default values of the placeholders of triggered event
+		if (ent && PLACEHOLDERS.includes(name)) {
+			if (name === "target" || name === "source")
+				return this.strings.someplayer;
+
+			return name === "boss" ? this.strings.someboss : "";
+		}
+
+		return undefined;
+	}
+
 	__getSystemCulture(handler) {
 		exec("powershell [CultureInfo]::InstalledUICulture.Name", handler);
 	}
@@ -61,5 +61,8 @@ module.exports.general = {
 		"dgnotspecified": "Dungeon id not specified.",
 		"enterdg": "Enter Dungeon",
 		"fordungeon": "for dungeon",
+		"countdown": "{0}...",
+		"someplayer": "Player",
+		"someboss": "Boss",
 	}
 };
\ No newline at end of file
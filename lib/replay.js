@@ -0,0 +1,204 @@
+"use strict";
+
+const fs = require("fs");
+const Mod = require("./replay/mod");
+const Library = require("./replay/library");
+
+/**
+ * Recorded packet or game event.
+ * @typedef {Object} record
+ * @property {number} time Time offset in milliseconds.
+ * @property {string} [name] Packet name (like "S_ACTION_STAGE") or game event name (like "me.die").
+ * @property {Object} [event] Packet data.
+ * @property {*[]} [args] Game event arguments.
+ * @property {Object} [player] Params of the player to update.
+ * @property {Object[]} [party] List of party members to update.
+ */
+
+/**
+ * Entry of the replay output.
+ * @typedef {Object} output
+ * @property {number} time Time offset in milliseconds.
+ * @property {string} type Type of entry: "send", "command", "speech", "log", "warn" or "error".
+ * @property {string} [name] Name of the sent packet.
+ * @property {Object} [data] Data of the sent packet.
+ * @property {string} [message] Message text.
+ */
+
+/**
+ * Offline packet replay harness for the guide scripts.
+ * @class Replay
+ */
+class Replay {
+	/**
+	 * Creates an instance of Replay.
+	 * @param {Object} options
+	 * @param {string} options.path Path to the directory of guide module (contains the "guides" folder).
+	 * @param {(string|number)} options.zone Zone identifier of the guide.
+	 * @param {Object} [options.params={}] Params of the core, as passed to the load() function.
+	 * @param {Object} [options.settings={}] Module settings.
+	 * @param {Object} [options.player={}] Params of the player (gameId, name, job, abnormals).
+	 * @param {Object[]} [options.party=[]] List of party members.
+	 * @memberof Replay
+	 */
+	constructor({ path, zone, params = {}, settings = {}, player = {}, party = [] }) {
+		this.__zone = zone.toString();
+
+		/** @type {output[]} */
+		this.__output = [];
+
+		// Add entry to the output with current time of the virtual clock
+		const log = entry => this.__output.push({ "time": this.__mod.now, ...entry });
+
+		// Create an instance of stand-in mod
+		this.__mod = new Mod({ path, settings, player, log });
+
+		this.__mod.require.library.setPlayer({}, party);
+
+		Object.assign(this.__mod.game.me, {
+			"gameId": this.__mod.require.library.player.gameId,
+			"name": this.__mod.require.library.player.name
+		});
+
+		// Create an instance of core
+		this.__core = require("../index").NetworkMod({ "info": { "name": "tera-guide-core" } }).load(this.__mod, params);
+
+		// Write speech to the log instead of playing it
+		this.deps.speech.play = message => log({ "type": "speech", message });
+
+		// Make the time of the core follow the virtual clock
+		const started = Date.now();
+
+		this.deps.clock.now = () => started + this.__mod.now;
+	}
+
+	/**
+	 * Load the guide for the zone.
+	 * @memberof Replay
+	 */
+	load() {
+		if (!this.__mod.settings.dungeons[this.__zone])
+			this.__mod.settings.dungeons[this.__zone] = { "name": undefined, "verbose": true, "spawnObject": true };
+
+		this.__mod.game.emit("enter_game");
+		this.__mod.game.me.emit("change_zone", this.__zone);
+
+		if (!this.deps.zone.loaded)
+			throw new Error(`Unable to load a guide "${this.__zone}".`);
+	}
+
+	/**
+	 * Dispatch the list of records and wait for all pending timers.
+	 * @param {record[]} records List of records.
+	 * @return {output[]} List of output entries.
+	 * @memberof Replay
+	 */
+	run(records) {
+		records.forEach(record => this.dispatch(record));
+
+		// Wait for all delayed events
+		while (this.__mod.pending > this.__mod.now)
+			this.__mod.advance(this.__mod.pending);
+
+		return this.__output;
+	}
+
+	/**
+	 * Dispatch the records from JSONL file.
+	 * @param {string} file Path to the file.
+	 * @return {output[]} List of output entries.
+	 * @memberof Replay
+	 */
+	runFile(file) {
+		return this.run(Replay.read(file));
+	}
+
+	/**
+	 * Dispatch a single record.
+	 * @param {record} record Recorded packet or game event.
+	 * @memberof Replay
+	 */
+	dispatch(record) {
+		// Fire the timers which expire before the record
+		this.__mod.advance(record.time || 0);
+
+		// Update the player and party state
+		if (record.player || record.party)
+			this.__mod.require.library.setPlayer(record.player, record.party);
+
+		if (!record.name) return;
+
+		// Emit the game event
+		if (/^[a-z]/.test(record.name)) {
+			const event = record.name.split(".");
+			const game = event[0] === "me" ? this.__mod.game.me : this.__mod.game;
+
+			if (record.name === "me.die") game.alive = false;
+			if (record.name === "me.resurrect") game.alive = true;
+
+			return game.emit(event[event.length - 1], ...(record.args || []));
+		}
+
+		this.__mod.dispatch(record.name, Library.revive(record.event || {}));
+	}
+
+	/**
+	 * Execute a module command, like "guide event status".
+	 * @param {string} command Command string.
+	 * @memberof Replay
+	 */
+	command(command) {
+		this.__mod.exec(command);
+	}
+
+	/**
+	 * Unload the core.
+	 * @memberof Replay
+	 */
+	unload() {
+		this.__mod.destructor();
+	}
+
+	/**
+	 * Read the records from JSONL file.
+	 * @param {string} file Path to the file.
+	 * @return {record[]} List of records.
+	 * @static
+	 * @memberof Replay
+	 */
+	static read(file) {
+		return fs.readFileSync(file, "utf8")
+			.split(/\r?\n/)
+			.filter(line => line.trim().length !== 0)
+			.map(line => JSON.parse(line));
+	}
+
+	/**
+	 * Get instance of stand-in mod.
+	 * @readonly
+	 * @memberof Replay
+	 */
+	get mod() {
+		return this.__mod;
+	}
+
+	/**
+	 * Get submodules of the core.
+	 * @readonly
+	 * @memberof Replay
+	 */
+	get deps() {
+		return this.__core.deps;
+	}
+
+	/**
+	 * Get list of output entries.
+	 * @readonly
+	 * @memberof Replay
+	 */
+	get output() {
+		return this.__output;
+	}
+}
+
+module.exports = Replay;
\ No newline at end of file
@@ -0,0 +1,237 @@
+"use strict";
+
+// Fields of identifiers, which are BigInt in the packet data and written as strings by the recorder
+const BIGINT_FIELDS = Object.freeze(["gameId", "source", "target", "owner", "id"]);
+
+/**
+ * @class Vec3
+ */
+class Vec3 {
+	/**
+	 * Creates an instance of Vec3.
+	 * @param {number} [x=0]
+	 * @param {number} [y=0]
+	 * @param {number} [z=0]
+	 * @memberof Vec3
+	 */
+	constructor(x = 0, y = 0, z = 0) {
+		this.x = x;
+		this.y = y;
+		this.z = z;
+	}
+
+	/**
+	 * Clone the vector.
+	 * @return {Vec3} New instance of Vec3 with same params.
+	 * @memberof Vec3
+	 */
+	clone() {
+		const vec = new Vec3(this.x, this.y, this.z);
+
+		if (this.w !== undefined)
+			vec.w = this.w;
+
+		return vec;
+	}
+
+	/**
+	 * Get 2D distance to the vector.
+	 * @param {Vec3} vec
+	 * @return {number} Distance in units.
+	 * @memberof Vec3
+	 */
+	dist2D(vec) {
+		return Math.hypot(this.x - vec.x, this.y - vec.y);
+	}
+
+	/**
+	 * Get 3D distance to the vector.
+	 * @param {Vec3} vec
+	 * @return {number} Distance in units.
+	 * @memberof Vec3
+	 */
+	dist3D(vec) {
+		return Math.hypot(this.x - vec.x, this.y - vec.y, this.z - vec.z);
+	}
+}
+
+/**
+ * Map of entities by identifier, the keys are converted to strings, so BigInt and string identifiers are equal.
+ * @class IdMap
+ * @extends {Map}
+ */
+class IdMap extends Map {
+	get(key) {
+		return super.get(String(key));
+	}
+
+	has(key) {
+		return super.has(String(key));
+	}
+
+	set(key, value) {
+		return super.set(String(key), value);
+	}
+
+	delete(key) {
+		return super.delete(String(key));
+	}
+}
+
+/**
+ * Stand-in for the "library" module used by the replay harness.
+ * @class Library
+ */
+class Library {
+	/**
+	 * Creates an instance of Library.
+	 * @param {Object} [player={}] Params of the player.
+	 * @memberof Library
+	 */
+	constructor(player = {}) {
+		const self = this;
+
+		this.library = {
+			"applyDistance": (loc, distance, degrees = 0) => {
+				const r = (loc.w || 0) - (degrees * Math.PI / 180);
+
+				loc.x += Math.cos(r) * distance;
+				loc.y += Math.sin(r) * distance;
+
+				return loc;
+			}
+		};
+
+		this.entity = {
+			"mobs": {}
+		};
+
+		this.player = {
+			"gameId": "1",
+			"name": "Player",
+			"job": 0,
+			"level": 70,
+			"loc": new Vec3(),
+			"playersInParty": new IdMap(),
+			isMe(gameId) {
+				return gameId !== undefined && gameId !== null && gameId.toString() === this.gameId.toString();
+			}
+		};
+
+		this.effect = {
+			"abnormals": new Set(),
+			hasAbnormality(id) {
+				return self.effect.abnormals.has(parseInt(id));
+			}
+		};
+
+		this.setPlayer(player);
+	}
+
+	/**
+	 * Update params of the player and the party.
+	 * @param {Object} [player={}] Params of the player.
+	 * @param {Object[]} [party=undefined] List of party members.
+	 * @memberof Library
+	 */
+	setPlayer(player = {}, party = undefined) {
+		const { abnormals, ...params } = player;
+
+		Object.assign(this.player, Library.revive(params));
+
+		if (Array.isArray(abnormals))
+			this.effect.abnormals = new Set(abnormals.map(id => parseInt(id)));
+
+		if (Array.isArray(party)) {
+			this.player.playersInParty.clear();
+
+			party.forEach(member =>
+				this.player.playersInParty.set(member.gameId, Library.revive(member))
+			);
+		}
+	}
+
+	/**
+	 * Update the entity state before the packet is dispatched to the hooks.
+	 * @param {string} name Packet name.
+	 * @param {Object} event Packet data.
+	 * @memberof Library
+	 */
+	before(name, event) {
+		switch (name) {
+			case "S_SPAWN_NPC":
+				this.entity.mobs[event.gameId.toString()] = { ...event, "loc": event.loc.clone() };
+				this.entity.mobs[event.gameId.toString()].loc.w = event.w;
+				break;
+
+			case "S_CREATURE_ROTATE": {
+				const mob = this.entity.mobs[event.gameId.toString()];
+
+				if (mob)
+					mob.loc.w = event.w;
+				break;
+			}
+
+			case "S_ACTION_STAGE":
+			case "S_ACTION_END":
+			case "S_NPC_LOCATION": {
+				const mob = this.entity.mobs[event.gameId.toString()];
+
+				if (mob && event.loc) {
+					mob.loc = event.loc.clone();
+					mob.loc.w = event.w;
+				}
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Update the entity state after the packet is dispatched to the hooks.
+	 * @param {string} name Packet name.
+	 * @param {Object} event Packet data.
+	 * @memberof Library
+	 */
+	after(name, event) {
+		if (name === "S_DESPAWN_NPC")
+			delete this.entity.mobs[event.gameId.toString()];
+	}
+
+	/**
+	 * Convert location objects of the recorded data to Vec3 and identifiers to BigInt.
+	 * @param {*} value Recorded value.
+	 * @return {*} Converted value.
+	 * @static
+	 * @memberof Library
+	 */
+	static revive(value) {
+		if (Array.isArray(value))
+			return value.map(item => Library.revive(item));
+
+		if (value === null || typeof value !== "object" || value instanceof Vec3)
+			return value;
+
+		if (typeof value.x === "number" && typeof value.y === "number" && typeof value.z === "number") {
+			const vec = new Vec3(value.x, value.y, value.z);
+
+			if (value.w !== undefined)
+				vec.w = value.w;
+
+			return vec;
+		}
+
+		const result = {};
+
+		Object.keys(value).forEach(key => {
+			if (BIGINT_FIELDS.includes(key) && typeof value[key] === "string" && /^\d+$/.test(value[key]))
+				result[key] = BigInt(value[key]);
+			else
+				result[key] = Library.revive(value[key]);
+		});
+
+		return result;
+	}
+}
+
+module.exports = Library;
+module.exports.Vec3 = Vec3;
\ No newline at end of file
@@ -0,0 +1,309 @@
+"use strict";
+
+const EventEmitter = require("events").EventEmitter;
+const Library = require("./library");
+
+// Default module settings, as they are created by the settings migrator
+const defaultSettings = Object.freeze({
+	"enabled": true,
+	"language": "auto",
+	"debug": {},
+	"dungeons": {},
+	"speech": { "enabled": true, "rate": 1, "volume": 100, "gender": "female" },
+	"cc": ["</font><font color=\"#ffff00\">"],
+	"stream": false,
+	"lNotice": false,
+	"gNotice": false,
+	"spawnObject": true
+});
+
+/**
+ * Stand-in for the TeraToolbox "mod" object used by the replay harness.
+ * All timers are running on the virtual clock and all output is written to the log.
+ * @class Mod
+ */
+class Mod {
+	/**
+	 * Creates an instance of Mod.
+	 * @param {Object} options
+	 * @param {string} options.path Path to the directory of guide module.
+	 * @param {Object} [options.settings={}] Module settings.
+	 * @param {Object} [options.player={}] Params of the player.
+	 * @param {Function} options.log Function to write to the log.
+	 * @memberof Mod
+	 */
+	constructor({ path, settings = {}, player = {}, log }) {
+		this.__log = log;
+		this.__hooks = [];
+		this.__timers = new Map();
+		this.__timerId = 0;
+		this.__commands = {};
+
+		// Current time of the virtual clock
+		this.now = 0;
+
+		this.info = { "name": "tera-guide-replay", "path": path };
+		this.majorPatchVersion = 100;
+		this.settings = JSON.parse(JSON.stringify({ ...defaultSettings, ...settings }));
+
+		// Stand-in for tera-game-state
+		this.game = new EventEmitter();
+		this.game.language = 0;
+		this.game.me = new EventEmitter();
+		Object.assign(this.game.me, { "playerId": 1, "gameId": "1", "name": "Player", "inDungeon": false, "alive": true });
+
+		// Stand-in for required modules
+		this.require = { "library": new Library(player) };
+
+		this.command = {
+			"add": (names, handlers) => [].concat(names).forEach(name => this.__commands[name] = handlers),
+			"remove": names => [].concat(names).forEach(name => delete this.__commands[name]),
+			"message": message => this.__log({ "type": "command", message }),
+			"exec": command => this.exec(command)
+		};
+	}
+
+	/**
+	 * Add hook.
+	 * @param {string} name Packet name.
+	 * @param {(number|string)} version Packet version.
+	 * @param {(Object|Function)} options Hook options or callback.
+	 * @param {Function} [callback] Hook callback.
+	 * @return {Object} Hook object.
+	 * @memberof Mod
+	 */
+	hook(name, version, options, callback) {
+		if (typeof options === "function") {
+			callback = options;
+			options = {};
+		}
+
+		const hook = { name, version, "order": options.order || 0, callback };
+
+		this.__hooks.push(hook);
+		this.__hooks.sort((a, b) => a.order - b.order);
+
+		return hook;
+	}
+
+	/**
+	 * Add hook once.
+	 * @param {*} args
+	 * @return {Object} Hook object.
+	 * @memberof Mod
+	 */
+	hookOnce(...args) {
+		const hook = this.hook(...args);
+		const callback = hook.callback;
+
+		hook.callback = (...params) => {
+			this.unhook(hook);
+			return callback(...params);
+		};
+
+		return hook;
+	}
+
+	/**
+	 * Remove hook.
+	 * @param {Object} hook Hook object.
+	 * @memberof Mod
+	 */
+	unhook(hook) {
+		this.__hooks = this.__hooks.filter(entry => entry !== hook);
+	}
+
+	/**
+	 * Dispatch a packet to the added hooks.
+	 * @param {string} name Packet name.
+	 * @param {Object} event Packet data.
+	 * @memberof Mod
+	 */
+	dispatch(name, event) {
+		const { library } = this.require;
+
+		library.before(name, event);
+
+		this.__hooks.filter(hook => hook.name === name).forEach(hook => {
+			try {
+				hook.callback(event);
+			} catch (e) {
+				this.error(e);
+			}
+		});
+
+		library.after(name, event);
+	}
+
+	/**
+	 * Send packet (written to the log).
+	 * @param {string} name Packet name.
+	 * @param {(number|string)} version Packet version.
+	 * @param {Object} data Packet data.
+	 * @return {boolean}
+	 * @memberof Mod
+	 */
+	send(name, version, data) {
+		this.__log({ "type": "send", name, data });
+
+		return true;
+	}
+
+	/**
+	 * Execute a module command.
+	 * @param {string} command Command string.
+	 * @memberof Mod
+	 */
+	exec(command) {
+		const [name, ...args] = command.trim().split(/\s+/);
+		const handlers = this.__commands[name];
+
+		if (!handlers)
+			return this.error(`Unknown command: ${name}`);
+
+		if (args.length === 0)
+			return handlers.$none();
+
+		if (typeof handlers[args[0]] === "function")
+			return handlers[args[0]](...args.slice(1));
+
+		return handlers.$default(...args);
+	}
+
+	/**
+	 * Parse a system message, like "@1234\vName\vValue".
+	 * The message id is not resolved to the name, so numeric id is returned.
+	 * @param {string} message System message string.
+	 * @return {Object} Object of id and tokens.
+	 * @memberof Mod
+	 */
+	parseSystemMessage(message) {
+		const [id, ...params] = message.split("\v");
+		const tokens = {};
+
+		for (let i = 0; i < params.length - 1; i += 2)
+			tokens[params[i]] = params[i + 1];
+
+		return { "id": id.replace(/^@/, ""), tokens };
+	}
+
+	queryData() {
+		return Promise.reject(new Error("Client data is not available in the replay mode."));
+	}
+
+	log(...args) {
+		this.__log({ "type": "log", "message": args.join(" ") });
+	}
+
+	warn(...args) {
+		this.__log({ "type": "warn", "message": args.join(" ") });
+	}
+
+	error(...args) {
+		this.__log({ "type": "error", "message": args.map(arg => (arg instanceof Error ? arg.stack : arg)).join(" ") });
+	}
+
+	/**
+	 * Set timeout on the virtual clock.
+	 * @param {Function} handler Handler function.
+	 * @param {number} [delay=0] Delay in milliseconds.
+	 * @param {*[]} args Handler function arguments.
+	 * @return {number} Timer identifier.
+	 * @memberof Mod
+	 */
+	setTimeout(handler, delay = 0, ...args) {
+		const id = ++this.__timerId;
+
+		this.__timers.set(id, { "time": this.now + Math.max(parseInt(delay) || 0, 0), handler, args, "interval": false });
+
+		return id;
+	}
+
+	/**
+	 * Set interval on the virtual clock.
+	 * @param {Function} handler Handler function.
+	 * @param {number} [delay=0] Interval in milliseconds.
+	 * @param {*[]} args Handler function arguments.
+	 * @return {number} Timer identifier.
+	 * @memberof Mod
+	 */
+	setInterval(handler, delay = 0, ...args) {
+		const id = ++this.__timerId;
+		const interval = Math.max(parseInt(delay) || 0, 1);
+
+		this.__timers.set(id, { "time": this.now + interval, handler, args, interval });
+
+		return id;
+	}
+
+	clearTimeout(id) {
+		this.__timers.delete(id);
+	}
+
+	clearInterval(id) {
+		this.__timers.delete(id);
+	}
+
+	clearAllTimeouts() {
+		this.__timers.forEach((timer, id) => {
+			if (!timer.interval) this.__timers.delete(id);
+		});
+	}
+
+	clearAllIntervals() {
+		this.__timers.forEach((timer, id) => {
+			if (timer.interval) this.__timers.delete(id);
+		});
+	}
+
+	/**
+	 * Advance the virtual clock and fire all expired timers.
+	 * @param {number} time Target time in milliseconds.
+	 * @memberof Mod
+	 */
+	advance(time) {
+		for (;;) {
+			let next = null;
+
+			// Find the earliest expired timer
+			this.__timers.forEach((timer, id) => {
+				if (timer.time <= time && (next === null || timer.time < next.timer.time))
+					next = { id, timer };
+			});
+
+			if (next === null) break;
+
+			this.now = Math.max(this.now, next.timer.time);
+
+			if (next.timer.interval)
+				next.timer.time += next.timer.interval;
+			else
+				this.__timers.delete(next.id);
+
+			try {
+				next.timer.handler(...next.timer.args);
+			} catch (e) {
+				this.error(e);
+			}
+		}
+
+		this.now = Math.max(this.now, time);
+	}
+
+	/**
+	 * Get time of the latest pending timeout.
+	 * @readonly
+	 * @memberof Mod
+	 */
+	get pending() {
+		let time = this.now;
+
+		this.__timers.forEach(timer => {
+			if (!timer.interval) time = Math.max(time, timer.time);
+		});
+
+		return time;
+	}
+}
+
+module.exports = Mod;
\ No newline at end of file
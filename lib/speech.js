@@ -5,6 +5,9 @@ const Voice = require("./voice");
 // Default voice gender
 const defaultGender = "female";
 
+// Windows TTS is used for speech synthesis
+const supported = process.platform === "win32";
+
 /**
  * @typedef {import("../index").deps} deps
  */
@@ -37,6 +40,8 @@ class Speech {
 	init() {
 		this.selectedVoices = { "male": false, "female": false };
 
+		if (!supported) return;
+
 		// Set speech voices
 		this.__voice.init()
 			.then(() => this.__voice.getVoices())
@@ -68,6 +73,8 @@ class Speech {
 	 * @memberof Speech
 	 */
 	play(message) {
+		if (!supported) return;
+
 		// Select params
 		const rate = Math.min(this.__mod.settings.speech.rate || 1, 10);
 		const volume = Math.min(this.__mod.settings.speech.volume || 100, 100);